@@ -8,30 +8,60 @@
 
 'use strict';
 
-import {ROLE} from './config.js';
-import {clearMe, loadMe} from './storage.js';
 import {
+    BACKLOG_MAX_ITEMS,
+    CONSENSUS_RULE,
+    CONSENSUS_THRESHOLD_MIN,
+    MAX_OBSERVERS,
+    MAX_PARTICIPANTS_LIMIT,
+    MIN_PARTICIPANTS_LIMIT,
+    PIN_MAX_LENGTH,
+    PIN_MIN_LENGTH,
+    ROLE,
+    TIMER_EXTEND_SECONDS,
+} from './config.js';
+import {buildDeck} from './deck.js';
+import {clearMe, collectSessions, loadMe, loadWritebackMapping, saveWritebackMapping} from './storage.js';
+import {
+    addBacklogItem,
     buildInviteUrl,
     castVote,
     closeSession,
+    commitEstimate,
     createSession,
+    extendTimer,
+    getUrlKey,
     getUrlSessionId,
+    importBacklog,
     joinSession,
     launchVote,
     leaveSession,
     newRound,
+    nextItem,
+    removeBacklogItem,
     restoreSession,
     revealVotes,
     state,
+    toggleTimerPause,
+    transferHost,
     updateItem,
 } from './session.js';
-import {renderRoom} from './render.js';
+import {renderArchives, renderRoom, renderVelocity} from './render.js';
+import {useTransport} from './transport.js';
+import {loadSettings} from './settings.js';
+import {EXPORT_FORMATS, exportFilename, toWriteback, WRITEBACK_TARGETS} from './export.js';
+import {deleteArchive, listArchives, searchArchives} from './archive.js';
+import {computeVelocity} from './velocity.js';
+import {initEmbed} from './embed.js';
+import {parseBacklog} from './import.js';
 import {
     clearErrors,
     copyToClipboard,
+    downloadFile,
     hideHeader,
     hideModal,
     renderHeader,
+    showBanner,
     showError,
     showModal,
     showNotif,
@@ -43,7 +73,7 @@ import {
    ══════════════════════════════════════════════════ */
 
 function onRender() {
-    renderRoom(state.session, state.myId, state.myRole);
+    renderRoom(state.session, state.myId, state.myRole, state.clockOffset);
 }
 
 /* ══════════════════════════════════════════════════
@@ -56,22 +86,78 @@ function onRoomReady() {
 
     const linkPanel = document.getElementById('session-link-panel');
     const linkInput = document.getElementById('session-link-input');
-    if (state.myRole === ROLE.FACILITATOR && linkPanel && linkInput) {
-        linkPanel.style.display = 'block';
+    if (linkPanel && linkInput) {
+        // Après un changement de facilitateur, la salle est re-préparée dans l'autre rôle
+        linkPanel.style.display = state.myRole === ROLE.FACILITATOR ? 'block' : 'none';
         linkInput.value = buildInviteUrl();
     }
 
+    // Clé incluse dans le lien ; à communiquer aussi à qui rejoint avec le code seul
+    const keyHint = document.getElementById('session-key-hint');
+    if (keyHint) keyHint.textContent = `Clé de chiffrement (si vous donnez le code seul) : ${state.key}`;
+
+    // Le PIN n'est pas dans le lien : le facilitateur le communique à part
+    const pinHint = document.getElementById('session-pin-hint');
+    if (pinHint) {
+        const pin = state.myRole === ROLE.FACILITATOR ? state.pin : null;
+        pinHint.style.display = pin ? 'block' : 'none';
+        pinHint.textContent = pin ? `Session protégée par PIN : ${pin} (à communiquer séparément)` : '';
+    }
+
+    const exportPanel = document.getElementById('export-panel');
+    if (exportPanel) exportPanel.style.display = state.myRole === ROLE.FACILITATOR ? 'block' : 'none';
+
     onRender();
 }
 
 /* ══════════════════════════════════════════════════
-   CALLBACKS RÉSEAU (injectés dans state pour webrtc.js)
+   CALLBACKS RÉSEAU (injectés dans state pour transport.js)
    ══════════════════════════════════════════════════ */
 
 state.onParticipantJoin = (name) => showNotif(`${name} a rejoint la session`);
 state.onParticipantLeave = () => showNotif('Un participant a quitté la session');
 
+state.onRoleChange = () => {
+    onRoomReady();
+    if (state.myRole === ROLE.FACILITATOR) showNotif('Vous êtes maintenant facilitateur.');
+    else if (state.session?.facilitatorId === state.myId) showNotif('Vous êtes maintenant participant.');
+    else showNotif(`${state.session?.facilitatorName} anime désormais la session.`);
+};
+state.onReconnecting = (attempt, delay) => showBanner('reconnect-banner',
+    `Connexion perdue — nouvelle tentative dans ${Math.round(delay / 1000)} s (essai ${attempt})…`);
+state.onReconnected = () => {
+    showBanner('reconnect-banner', null);
+    showNotif('Reconnecté à la session.');
+};
+
+state.onStorageError = (code) => showNotif(code === 'QUOTA_EXCEEDED'
+    ? 'Stockage du navigateur plein : la session ne pourra pas être restaurée après un rechargement.'
+    : 'Stockage du navigateur indisponible : la session ne pourra pas être restaurée après un rechargement.', 6000);
+
+/**
+ * Échec inattendu de la clôture, du départ ou du nettoyage des sessions enregistrées,
+ * signalé sur l'accueil.
+ * @param {string} action
+ * @param {*}      e
+ */
+function showStorageError(action, e) {
+    console.error(`[app] ${action}:`, e);
+    showError('err-storage', 'Stockage du navigateur indisponible : une session terminée pourrait être proposée '
+        + 'à nouveau au prochain chargement.');
+}
+
+const VERSION_MISMATCH_MESSAGE =
+    'Votre version de l\'application diffère de celle du facilitateur : rechargez la page (Ctrl+F5) puis rejoignez à nouveau.';
+
+state.onError = (code) => {
+    showBanner('reconnect-banner', null);
+    hideHeader();
+    showScreen('home');
+    showError('err-join-code', code === 'VERSION_MISMATCH' ? VERSION_MISMATCH_MESSAGE : 'Connexion à la session perdue.');
+};
+
 state.onSessionClosed = () => {
+    showBanner('reconnect-banner', null);
     hideHeader();
     showScreen('home');
     showNotif('La session a été clôturée.');
@@ -85,18 +171,57 @@ document.getElementById('btn-create-session')
     ?.addEventListener('click', async () => {
         const name = document.getElementById('create-name')?.value.trim() ?? '';
         const item = document.getElementById('create-item')?.value.trim() ?? '';
-        clearErrors('err-create-name');
+        const pin = document.getElementById('create-pin')?.value.trim() ?? '';
+        const maxParticipants = Number(document.getElementById('create-max')?.value);
+        const consensusRule = {
+            type: document.getElementById('create-consensus')?.value ?? CONSENSUS_RULE.ADJACENT,
+            threshold: Number(document.getElementById('create-agreement')?.value) / 100,
+        };
+        clearErrors('err-create-name', 'err-create-deck', 'err-create-max', 'err-create-consensus', 'err-create-pin');
 
         if (!name) {
             showError('err-create-name', 'Veuillez saisir votre nom.');
             return;
         }
 
+        const deck = buildDeck(document.getElementById('create-deck')?.value, {
+            custom: document.getElementById('create-deck-custom')?.value ?? '',
+            special: document.getElementById('create-deck-special')?.checked ?? false,
+        });
+        if (!deck) {
+            showError('err-create-deck', 'Jeu personnalisé invalide : 2 à 20 cartes séparées par des virgules, 6 caractères max.');
+            return;
+        }
+
+        if (!Number.isInteger(maxParticipants)
+            || maxParticipants < MIN_PARTICIPANTS_LIMIT || maxParticipants > MAX_PARTICIPANTS_LIMIT) {
+            showError('err-create-max',
+                `Nombre de participants invalide : de ${MIN_PARTICIPANTS_LIMIT} à ${MAX_PARTICIPANTS_LIMIT}.`);
+            return;
+        }
+
+        if (consensusRule.type === CONSENSUS_RULE.AGREEMENT
+            && !(consensusRule.threshold >= CONSENSUS_THRESHOLD_MIN && consensusRule.threshold <= 1)) {
+            showError('err-create-consensus', `Part minimale invalide : de ${CONSENSUS_THRESHOLD_MIN * 100} à 100 %.`);
+            return;
+        }
+
+        if (pin && (pin.length < PIN_MIN_LENGTH || pin.length > PIN_MAX_LENGTH || /\s/.test(pin))) {
+            showError('err-create-pin', `PIN invalide : ${PIN_MIN_LENGTH} à ${PIN_MAX_LENGTH} caractères, sans espace.`);
+            return;
+        }
+
         const btn = document.getElementById('btn-create-session');
         btn.disabled = true;
         btn.textContent = 'Création…';
 
-        const ok = await createSession(name, item, onRoomReady, onRender);
+        const ok = await createSession(name, item, onRoomReady, onRender, {
+            deck,
+            maxParticipants,
+            consensusRule,
+            pin,
+            facilitatorVotes: document.getElementById('create-facilitator-votes')?.checked ?? false,
+        });
 
         btn.disabled = false;
         btn.textContent = 'Créer la session';
@@ -104,6 +229,18 @@ document.getElementById('btn-create-session')
         if (!ok) showError('err-create-name', 'Impossible de créer la session. Réessayez.');
     });
 
+document.getElementById('create-deck')
+    ?.addEventListener('change', function () {
+        const custom = document.getElementById('create-deck-custom-group');
+        if (custom) custom.style.display = this.value === 'custom' ? 'block' : 'none';
+    });
+
+document.getElementById('create-consensus')
+    ?.addEventListener('change', function () {
+        const agreement = document.getElementById('create-agreement-group');
+        if (agreement) agreement.style.display = this.value === CONSENSUS_RULE.AGREEMENT ? 'block' : 'none';
+    });
+
 /* ══════════════════════════════════════════════════
    REJOINDRE UNE SESSION — async (CDC §5.2)
    ══════════════════════════════════════════════════ */
@@ -112,13 +249,16 @@ document.getElementById('btn-join-session')
     ?.addEventListener('click', async () => {
         const code = document.getElementById('join-code')?.value.trim().toUpperCase() ?? '';
         const name = document.getElementById('join-name')?.value.trim() ?? '';
-        clearErrors('err-join-code', 'err-join-name');
+        const pin = document.getElementById('join-pin')?.value.trim() ?? '';
+        const key = document.getElementById('join-key')?.value.trim() ?? '';
+        const observer = document.getElementById('join-observer')?.checked ?? false;
+        clearErrors('err-join-code', 'err-join-name', 'err-join-pin', 'err-join-key');
 
         const btn = document.getElementById('btn-join-session');
         btn.disabled = true;
         btn.textContent = 'Connexion…';
 
-        const result = await joinSession(code, name, onRoomReady, onRender);
+        const result = await joinSession(code, name, onRoomReady, onRender, {pin, key, observer});
 
         btn.disabled = false;
         btn.textContent = 'Rejoindre';
@@ -128,10 +268,18 @@ document.getElementById('btn-join-session')
                 NAME_REQUIRED: ['err-join-name', 'Veuillez saisir votre nom.'],
                 CODE_REQUIRED: ['err-join-code', 'Veuillez saisir un code de session.'],
                 SESSION_NOT_FOUND: ['err-join-code', 'Session introuvable. Vérifiez le code ou attendez que le facilitateur lance la session.'],
-                SESSION_FULL: ['err-join-code', 'Session complète (8 participants max).'],
+                SESSION_FULL: ['err-join-code', observer
+                    ? `Trop d'observateurs (${MAX_OBSERVERS} max).`
+                    : 'Session complète : toutes les places de participants sont prises. Rejoignez-la en observateur.'],
                 PEER_ERROR: ['err-join-code', 'Erreur réseau. Vérifiez votre connexion internet.'],
+                VERSION_MISMATCH: ['err-join-code', VERSION_MISMATCH_MESSAGE],
+                WRONG_PIN: ['err-join-pin', pin ? 'PIN incorrect.' : 'Cette session est protégée : saisissez son PIN.'],
+                TOO_MANY_ATTEMPTS: ['err-join-pin', 'Trop de tentatives : réessayez dans une minute.'],
+                KEY_REQUIRED: ['err-join-key', 'Saisissez la clé de chiffrement donnée par le facilitateur.'],
+                WRONG_KEY: ['err-join-key', 'Clé de chiffrement incorrecte pour cette session.'],
             };
             const [elId, msg] = messages[result.error] ?? ['err-join-code', 'Erreur inconnue.'];
+            if (elId === 'err-join-key') document.getElementById('join-key-group').style.display = 'block';
             showError(elId, msg);
         }
     });
@@ -150,21 +298,321 @@ document.getElementById('btn-update-item')
         updateItem(document.getElementById('item-input')?.value.trim() ?? '');
     });
 
+/** Options de lancement lues dans les contrôles du timer */
+function readLaunchOptions() {
+    return {
+        duration: Number(document.getElementById('timer-duration')?.value) || 0,
+        autoRevealAllVoted: document.getElementById('auto-reveal-all')?.checked ?? false,
+    };
+}
+
 document.getElementById('btn-launch')
     ?.addEventListener('click', () => {
-        launchVote(document.getElementById('item-input')?.value.trim() ?? '');
+        launchVote(document.getElementById('item-input')?.value.trim() ?? '', readLaunchOptions());
+        showNotif('Vote lancé !');
+    });
+
+document.getElementById('btn-next-item')
+    ?.addEventListener('click', () => {
+        if (!nextItem(readLaunchOptions())) {
+            showNotif('Aucun item en attente dans le backlog.');
+            return;
+        }
+        const inp = document.getElementById('item-input');
+        if (inp) inp.value = state.session.currentItem;
         showNotif('Vote lancé !');
     });
 
 document.getElementById('btn-reveal')
     ?.addEventListener('click', () => revealVotes());
 
+document.getElementById('btn-timer-extend')
+    ?.addEventListener('click', () => extendTimer(TIMER_EXTEND_SECONDS));
+
+document.getElementById('btn-timer-toggle')
+    ?.addEventListener('click', () => toggleTimerPause());
+
 document.getElementById('btn-newround')
     ?.addEventListener('click', () => newRound());
 
 document.getElementById('btn-close-session')
     ?.addEventListener('click', () => showModal('modal-close'));
 
+/* ══════════════════════════════════════════════════
+   IMPORT DU BACKLOG (facilitateur)
+   ══════════════════════════════════════════════════ */
+
+/** Nom du dernier fichier chargé : oriente le choix du format (CSV / JSON) */
+let _importFilename = '';
+
+async function loadImportFile(file) {
+    if (!file) return;
+    const text = document.getElementById('import-text');
+    clearErrors('err-import');
+    try {
+        text.value = await file.text();
+        _importFilename = file.name;
+    } catch (e) {
+        console.error('[app] loadImportFile:', e);
+        showError('err-import', 'Impossible de lire ce fichier.');
+    }
+}
+
+document.getElementById('btn-backlog-import')
+    ?.addEventListener('click', () => {
+        clearErrors('err-import');
+        showModal('modal-import');
+    });
+
+document.getElementById('import-file')
+    ?.addEventListener('change', (e) => loadImportFile(e.target.files[0]));
+
+document.getElementById('import-text')
+    ?.addEventListener('input', () => {
+        _importFilename = '';
+    });
+
+const importText = document.getElementById('import-text');
+importText?.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    importText.classList.add('dragover');
+});
+importText?.addEventListener('dragleave', () => importText.classList.remove('dragover'));
+importText?.addEventListener('drop', (e) => {
+    e.preventDefault();
+    importText.classList.remove('dragover');
+    loadImportFile(e.dataTransfer.files[0]);
+});
+
+document.getElementById('btn-import-cancel')
+    ?.addEventListener('click', () => hideModal('modal-import'));
+
+document.getElementById('btn-import-confirm')
+    ?.addEventListener('click', () => {
+        clearErrors('err-import');
+        const result = parseBacklog(document.getElementById('import-text')?.value ?? '', _importFilename);
+
+        if (!result.success) {
+            const at = result.line ? ` (ligne ${result.line})` : '';
+            const messages = {
+                IMPORT_EMPTY: 'Aucun item à importer.',
+                IMPORT_INVALID_JSON: 'JSON invalide : attendu un tableau d\'items ou un export Jira / Azure DevOps.',
+                IMPORT_INVALID_CSV: 'CSV invalide : un guillemet n\'est pas refermé.',
+                IMPORT_NO_SUMMARY: `Colonne « Summary » / « Title » absente ou vide${at}.`,
+                IMPORT_TOO_MANY: `Trop d'items : ${BACKLOG_MAX_ITEMS} maximum par session.`,
+            };
+            showError('err-import', messages[result.error] ?? 'Import impossible.');
+            return;
+        }
+
+        if (!importBacklog(result.items)) {
+            showError('err-import', `Trop d'items : ${BACKLOG_MAX_ITEMS} maximum par session.`);
+            return;
+        }
+
+        hideModal('modal-import');
+        document.getElementById('import-text').value = '';
+        document.getElementById('import-file').value = '';
+        _importFilename = '';
+        showNotif(`${result.items.length} item(s) importé(s)`);
+    });
+
+/* ══════════════════════════════════════════════════
+   ESTIMATION FINALE (facilitateur)
+   ══════════════════════════════════════════════════ */
+
+function onCommitEstimate(method, value) {
+    if (commitEstimate(method, value)) {
+        showNotif('Estimation enregistrée.');
+    } else {
+        showNotif('Impossible de retenir cette estimation.');
+    }
+}
+
+document.getElementById('btn-commit-consensus')
+    ?.addEventListener('click', () => onCommitEstimate('consensus'));
+
+document.getElementById('btn-commit-median')
+    ?.addEventListener('click', () => onCommitEstimate('median'));
+
+document.getElementById('btn-commit-override')
+    ?.addEventListener('click', () => {
+        onCommitEstimate('override', document.getElementById('estimate-override')?.value);
+    });
+
+/* ══════════════════════════════════════════════════
+   BACKLOG (facilitateur)
+   ══════════════════════════════════════════════════ */
+
+function onBacklogAdd() {
+    const inp = document.getElementById('backlog-input');
+    if (!inp) return;
+    if (addBacklogItem(inp.value.trim())) inp.value = '';
+}
+
+document.getElementById('btn-backlog-add')
+    ?.addEventListener('click', onBacklogAdd);
+
+document.getElementById('backlog-input')
+    ?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') onBacklogAdd();
+    });
+
+document.getElementById('backlog-list')
+    ?.addEventListener('click', (e) => {
+        const btn = e.target.closest('.backlog-remove');
+        if (btn) removeBacklogItem(btn.dataset.id);
+    });
+
+/* ══════════════════════════════════════════════════
+   EXPORT DES RÉSULTATS (salle et modal de clôture)
+   ══════════════════════════════════════════════════ */
+
+document.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-export]');
+    if (!btn || btn.disabled || !state.session) return;
+    const format = EXPORT_FORMATS[btn.dataset.export];
+    if (!format) return;
+    downloadFile(exportFilename(state.session, format.ext), format.build(state.session), format.mime);
+});
+
+/* ══════════════════════════════════════════════════
+   RÉINTÉGRATION — Jira, Azure DevOps
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Remplit les champs de la réintégration : correspondance mémorisée,
+ * sinon colonnes par défaut de l'outil choisi.
+ * @param {import('./export.js').WritebackMapping|null} mapping
+ */
+function fillWritebackFields(mapping) {
+    const target = WRITEBACK_TARGETS[mapping?.target] ? mapping.target : 'jira';
+    document.getElementById('writeback-target').value = target;
+    document.getElementById('writeback-key-column').value = mapping?.keyColumn || WRITEBACK_TARGETS[target].keyColumn;
+    document.getElementById('writeback-value-column').value = mapping?.valueColumn || WRITEBACK_TARGETS[target].valueColumn;
+}
+
+document.getElementById('writeback-target')
+    ?.addEventListener('change', function () {
+        fillWritebackFields({target: this.value});
+    });
+
+document.getElementById('btn-writeback')
+    ?.addEventListener('click', () => {
+        if (!state.session) return;
+        clearErrors('err-writeback');
+        const mapping = {
+            target: document.getElementById('writeback-target')?.value ?? 'jira',
+            keyColumn: document.getElementById('writeback-key-column')?.value.trim() ?? '',
+            valueColumn: document.getElementById('writeback-value-column')?.value.trim() ?? '',
+        };
+        if (!mapping.keyColumn || !mapping.valueColumn) {
+            showError('err-writeback', 'Indiquez le nom des deux colonnes.');
+            return;
+        }
+        saveWritebackMapping(mapping);
+
+        const {content, count, noKey, nonNumeric} = toWriteback(state.session, mapping);
+        const skipped = [
+            noKey ? `${noKey} item(s) sans clé de ticket` : '',
+            nonNumeric.length
+                ? `estimation non numérique : ${nonNumeric.map(r => `${r.key} (${r.estimate})`).join(', ')}` : '',
+        ].filter(Boolean).join(' ; ');
+        if (!count) {
+            showError('err-writeback', nonNumeric.length
+                ? `Aucune estimation numérique à réintégrer (${skipped}).`
+                : 'Aucun item estimé ne porte de clé de ticket (ex : « US-42 — Connexion OAuth »).');
+            return;
+        }
+        downloadFile(exportFilename(state.session, `${mapping.target}.csv`), content, 'text/csv;charset=utf-8');
+        if (skipped) showNotif(`Non inclus — ${skipped}.`);
+    });
+
+/* ══════════════════════════════════════════════════
+   SESSIONS PASSÉES — async (archive IndexedDB)
+   ══════════════════════════════════════════════════ */
+
+/** Archives chargées à l'ouverture de l'écran, et archive à supprimer */
+let _archives = [];
+let _archiveToDelete = null;
+
+async function showArchives() {
+    try {
+        _archives = await listArchives();
+    } catch (e) {
+        console.error('[app] listArchives:', e);
+        _archives = [];
+        showNotif('Archives indisponibles dans ce navigateur.');
+    }
+    const query = document.getElementById('archive-search')?.value ?? '';
+    renderArchives(searchArchives(_archives, query), _archives.length);
+}
+
+document.getElementById('btn-open-archives')
+    ?.addEventListener('click', async () => {
+        await showArchives();
+        showScreen('archive');
+    });
+
+document.getElementById('btn-archive-back')
+    ?.addEventListener('click', () => showScreen('home'));
+
+document.getElementById('btn-open-velocity')
+    ?.addEventListener('click', () => {
+        const query = document.getElementById('archive-search')?.value ?? '';
+        renderVelocity(computeVelocity(searchArchives(_archives, query)));
+        showScreen('velocity');
+    });
+
+document.getElementById('btn-velocity-back')
+    ?.addEventListener('click', () => showScreen('archive'));
+
+document.getElementById('archive-search')
+    ?.addEventListener('input', function () {
+        renderArchives(searchArchives(_archives, this.value), _archives.length);
+    });
+
+document.getElementById('archive-list')
+    ?.addEventListener('click', (e) => {
+        const exportBtn = e.target.closest('[data-archive-export]');
+        if (exportBtn && !exportBtn.disabled) {
+            const archive = _archives.find(a => a.id === exportBtn.dataset.id);
+            const format = EXPORT_FORMATS[exportBtn.dataset.archiveExport];
+            if (archive && format) {
+                downloadFile(exportFilename(archive.session, format.ext), format.build(archive.session), format.mime);
+            }
+            return;
+        }
+        const deleteBtn = e.target.closest('[data-archive-delete]');
+        if (deleteBtn) {
+            _archiveToDelete = deleteBtn.dataset.archiveDelete;
+            showModal('modal-archive-delete');
+        }
+    });
+
+document.getElementById('btn-archive-delete-cancel')
+    ?.addEventListener('click', () => hideModal('modal-archive-delete'));
+
+document.getElementById('btn-archive-delete-confirm')
+    ?.addEventListener('click', async () => {
+        hideModal('modal-archive-delete');
+        if (!_archiveToDelete) return;
+        try {
+            await deleteArchive(_archiveToDelete);
+            showNotif('Session archivée supprimée.');
+        } catch (e) {
+            console.error('[app] deleteArchive:', e);
+            showNotif('Suppression impossible.');
+        }
+        _archiveToDelete = null;
+        await showArchives();
+    });
+
+document.getElementById('modal-archive-delete')
+    ?.addEventListener('click', (e) => {
+        if (e.target.id === 'modal-archive-delete') hideModal('modal-archive-delete');
+    });
+
 /* ══════════════════════════════════════════════════
    MODAL CLÔTURE
    ══════════════════════════════════════════════════ */
@@ -173,9 +621,13 @@ document.getElementById('btn-modal-cancel')
     ?.addEventListener('click', () => hideModal('modal-close'));
 
 document.getElementById('btn-modal-confirm')
-    ?.addEventListener('click', () => {
+    ?.addEventListener('click', async () => {
         hideModal('modal-close');
-        closeSession();
+        try {
+            await closeSession();
+        } catch (e) {
+            showStorageError('closeSession', e);
+        }
         hideHeader();
         showScreen('home');
         showNotif('Session clôturée.');
@@ -186,6 +638,39 @@ document.getElementById('modal-close')
         if (e.target.id === 'modal-close') hideModal('modal-close');
     });
 
+/* ══════════════════════════════════════════════════
+   MODAL TRANSFERT DU RÔLE DE FACILITATEUR
+   ══════════════════════════════════════════════════ */
+
+let _transferTarget = null;
+
+document.getElementById('participants-list')
+    ?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-transfer]');
+        if (!btn) return;
+        const target = state.session?.participants.find(p => p.id === btn.dataset.transfer);
+        if (!target) return;
+        _transferTarget = target.id;
+        const label = document.getElementById('transfer-name');
+        if (label) label.textContent = target.name;
+        showModal('modal-transfer');
+    });
+
+document.getElementById('btn-transfer-cancel')
+    ?.addEventListener('click', () => hideModal('modal-transfer'));
+
+document.getElementById('btn-transfer-confirm')
+    ?.addEventListener('click', () => {
+        hideModal('modal-transfer');
+        if (!transferHost(_transferTarget)) showNotif('Ce participant n\'est plus connecté.');
+        _transferTarget = null;
+    });
+
+document.getElementById('modal-transfer')
+    ?.addEventListener('click', (e) => {
+        if (e.target.id === 'modal-transfer') hideModal('modal-transfer');
+    });
+
 /* ══════════════════════════════════════════════════
    CONTRÔLES PARTICIPANT — synchrones (CDC §3.2)
    ══════════════════════════════════════════════════ */
@@ -194,8 +679,8 @@ document.getElementById('cards-grid')
     ?.addEventListener('click', (e) => {
         const card = e.target.closest('.vote-card');
         if (!card || card.classList.contains('disabled')) return;
-        const value = parseInt(card.dataset.value, 10);
-        if (isNaN(value)) return;
+        const value = card.dataset.value;
+        if (!value) return;
         if (castVote(value)) {
             onRender();
             showNotif(`Vote enregistré : ${value}`);
@@ -203,8 +688,13 @@ document.getElementById('cards-grid')
     });
 
 document.getElementById('btn-leave')
-    ?.addEventListener('click', () => {
-        leaveSession();
+    ?.addEventListener('click', async () => {
+        try {
+            await leaveSession();
+        } catch (e) {
+            showStorageError('leaveSession', e);
+        }
+        showBanner('reconnect-banner', null);
         hideHeader();
         showScreen('home');
     });
@@ -223,7 +713,40 @@ document.getElementById('btn-copy-link')
    INITIALISATION
    ══════════════════════════════════════════════════ */
 
+const SETTINGS_ERRORS = {
+    CONFIG_INVALID_JSON: 'fichier illisible (JSON invalide).',
+    CONFIG_BAD_TRANSPORT: 'transport inconnu (webrtc, relay ou broadcast attendu).',
+    CONFIG_BAD_RELAY: 'adresse du relais invalide (ws://… ou wss://… attendu).',
+    CONFIG_BAD_HOST: 'hôte du serveur PeerJS invalide (nom de domaine ou adresse IP attendu).',
+    CONFIG_BAD_PORT: 'port du serveur PeerJS invalide (entier de 1 à 65535 attendu).',
+    CONFIG_BAD_PATH: 'chemin du serveur PeerJS invalide (doit commencer par « / »).',
+    CONFIG_BAD_SECURE: 'option « secure » du serveur PeerJS invalide (true ou false attendu).',
+    CONFIG_BAD_KEY: 'clé du serveur PeerJS vide.',
+    CONFIG_BAD_ICE: 'serveurs ICE invalides (URL stun:/turn:, identifiants obligatoires pour TURN).',
+    CONFIG_BAD_EMBED: 'origines d\'intégration invalides (liste d\'origines https://hôte[:port] attendue, http seulement pour localhost).',
+};
+
+/**
+ * Libellé d'une erreur de configuration, ex :
+ * 'URL — port du serveur PeerJS invalide (entier de 1 à 65535 attendu). Valeur reçue : « abc ».'
+ * @param {import('./settings.js').SettingsError} err
+ * @returns {string}
+ */
+function settingsErrorMessage(err) {
+    const value = err.value === undefined ? ''
+        : ` Valeur reçue : « ${typeof err.value === 'string' ? err.value : JSON.stringify(err.value)} ».`;
+    return `${err.source} — ${SETTINGS_ERRORS[err.code]}${value} Valeur par défaut utilisée.`;
+}
+
 async function init() {
+    /* Configuration d'exécution : config.json puis paramètres d'URL (transport, PeerJS, ICE) */
+    const settings = await loadSettings();
+    useTransport(settings.transport, settings.options);
+    showError('err-config', settings.errors.map(settingsErrorMessage).join('\n') || null);
+
+    /* API d'intégration (iframe) : seulement pour les origines de config.json */
+    initEmbed(settings.embedOrigins, {onReady: onRoomReady, onRender});
+
     /* Pré-remplir le code depuis l'URL (lien d'invitation) */
     const urlCode = getUrlSessionId();
     if (urlCode) {
@@ -231,8 +754,19 @@ async function init() {
         if (inp) inp.value = urlCode;
     }
 
-    /* Restaurer la session après rechargement de page (F5) */
+    /* Clé de chiffrement du lien d'invitation : rien à saisir */
+    const urlKey = getUrlKey();
+    if (urlKey) {
+        document.getElementById('join-key').value = urlKey;
+        document.getElementById('join-key-group').style.display = 'none';
+    }
+
+    /* Colonnes de réintégration choisies par l'équipe lors d'une session précédente */
+    fillWritebackFields(loadWritebackMapping());
+
+    /* Restaurer la session après rechargement de page (F5) ; sessions orphelines supprimées */
     const me = loadMe();
+    await collectSessions(me?.sessionId ?? null).catch(e => showStorageError('collectSessions', e));
     if (!me) return;
 
     const restored = await restoreSession(me, onRoomReady, onRender);
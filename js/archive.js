@@ -0,0 +1,98 @@
+/**
+ * archive.js — Archive des sessions clôturées (IndexedDB)
+ *
+ * À la clôture, le facilitateur archive la session sur son poste : date,
+ * items, estimations, tours et participants. L'écran « Sessions passées »
+ * (accueil) permet de les parcourir, chercher, exporter à nouveau ou supprimer.
+ *
+ * Le code de session (4 caractères) peut resservir : une archive est
+ * identifiée par le code et la date de création.
+ */
+
+'use strict';
+
+import {STORES, storeRequest} from './idb.js';
+
+/**
+ * @typedef {Object} ArchivedSession
+ * @property {string}   id            - `${session.id}-${session.createdAt}`
+ * @property {number}   closedAt
+ * @property {string[]} participants  - Noms de tous les votants et présents à la clôture
+ * @property {import('./config.js').Session} session - Copie de la session (sans PIN ni secrets), utilisable par export.js
+ */
+
+/* ══════════════════════════════════════════════════
+   DONNÉES ARCHIVÉES
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Construit l'archive d'une session (fonction pure).
+ * @param {import('./config.js').Session} session
+ * @param {number} [closedAt]
+ * @returns {ArchivedSession}
+ */
+export function toArchive(session, closedAt = Date.now()) {
+    const names = new Set(session.participants.map(p => p.name));
+    (session.history ?? []).forEach(e => e.rounds.forEach(r => r.votes.forEach(v => names.add(v.name))));
+
+    const copy = JSON.parse(JSON.stringify(session));
+    delete copy.pin;
+    delete copy.nextHostId;
+    copy.participants.forEach(p => delete p.secret);
+
+    return {
+        id: `${session.id}-${session.createdAt}`,
+        closedAt,
+        participants: [...names],
+        session: copy,
+    };
+}
+
+/**
+ * Filtre les archives sur un texte : code, facilitateur, participants ou titres d'items.
+ * @param {ArchivedSession[]} archives
+ * @param {string} query
+ * @returns {ArchivedSession[]}
+ */
+export function searchArchives(archives, query) {
+    const q = query.trim().toLowerCase();
+    if (!q) return archives;
+    return archives.filter(a => [
+        a.session.id,
+        a.session.facilitatorName,
+        ...a.participants,
+        ...(a.session.history ?? []).map(e => e.title),
+    ].some(text => String(text ?? '').toLowerCase().includes(q)));
+}
+
+/* ══════════════════════════════════════════════════
+   INDEXEDDB (cf. idb.js)
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Archive une session (remplace l'archive de la même session).
+ * @param {import('./config.js').Session} session
+ * @returns {Promise<ArchivedSession>}
+ */
+export async function archiveSession(session) {
+    const archive = toArchive(session);
+    await storeRequest(STORES.ARCHIVES, 'readwrite', store => store.put(archive));
+    return archive;
+}
+
+/**
+ * Toutes les archives, la plus récente en premier.
+ * @returns {Promise<ArchivedSession[]>}
+ */
+export async function listArchives() {
+    const all = await storeRequest(STORES.ARCHIVES, 'readonly', store => store.getAll());
+    return all.sort((a, b) => b.closedAt - a.closedAt);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteArchive(id) {
+    await storeRequest(STORES.ARCHIVES, 'readwrite', store => store.delete(id));
+}
@@ -1,182 +1,174 @@
 /**
- * channel.js — Communication temps réel via BroadcastChannel API (CDC §2)
+ * channel.js — Transport BroadcastChannel (cf. transport.js)
  *
- * Remplace un serveur WebSocket par une communication inter-onglets native.
- * Fonctionne sans serveur, directement dans le navigateur.
+ * Relie les onglets d'un même navigateur, sans serveur ni réseau :
+ * démonstrations, formations, essais hors ligne.
  *
- * Chaque message a la forme : { type, from: myId, ...payload }
+ * Un canal 'pps_{hostId}' par session, partagé par le hub et les participants.
+ * Chaque extrémité tire un identifiant aléatoire ; les messages ont la forme
+ * { kind, from, to, payload } (to = null : à tous) :
+ *   probe / host_here  → détection d'un hub déjà ouvert (ID_TAKEN)
+ *   hello / welcome    → ouverture d'un lien participant ↔ hub
+ *   data               → message applicatif (payload)
+ *   bye                → fermeture d'un lien
+ *   ping               → présence, pour détecter un onglet disparu sans 'bye'
+ *
+ * Les minuteurs des onglets en arrière-plan pouvant être ralentis à une
+ * exécution par minute, un lien n'est considéré perdu qu'après LINK_TIMEOUT_MS.
  */
 
 'use strict';
 
-import {ERR, MAX_PARTICIPANTS, MSG, ROLE, STATUS} from './config.js';
-import {saveSession} from './storage.js';
-
-/** @type {BroadcastChannel|null} */
-let _channel = null;
-
-/** Référence à l'état courant de l'application (injectée depuis session.js) */
-let _state = null;
-
-/** Callback de re-rendu à appeler après une mise à jour d'état */
-let _onStateChange = null;
-
-/* ══════════════════════════════════════════════════
-   INITIALISATION
-   ══════════════════════════════════════════════════ */
-
-/**
- * Ouvre (ou rouvre) le canal BroadcastChannel pour une session donnée.
- *
- * @param {string}   sessionId     - Code de la session
- * @param {object}   stateRef      - Référence vers l'objet d'état partagé { myId, myRole, session }
- * @param {Function} onStateChange - Callback appelé après chaque mise à jour
- */
-export function openChannel(sessionId, stateRef, onStateChange) {
-    if (_channel) _channel.close();
+import {createLink} from './link.js';
 
-    _state = stateRef;
-    _onStateChange = onStateChange;
+const PROBE_MS = 300;
+const CONNECT_TIMEOUT_MS = 1500;
+const PING_INTERVAL_MS = 5000;
+const LINK_TIMEOUT_MS = 75000;
 
-    _channel = new BroadcastChannel('pps_' + sessionId);
-    _channel.onmessage = _onMessage;
-}
+const _randomId = () => Math.random().toString(36).slice(2, 10);
 
 /**
- * Ferme le canal proprement.
+ * @returns {object} Transport (listen, connect, destroy)
  */
-export function closeChannel() {
-    if (_channel) {
-        _channel.close();
-        _channel = null;
+export function createBroadcastTransport() {
+    let channel = null;
+    let myId = null;
+    let hosting = null;    // onConnection, quand ce transport est le hub
+    let pending = null;    // réponse attendue : { kind, resolve }
+    let pingTimer = null;
+    const links = new Map(); // id distant → { link, lastSeen }
+
+    function post(kind, to = null, payload) {
+        channel?.postMessage({kind, from: myId, to, payload});
     }
-}
-
-/* ══════════════════════════════════════════════════
-   ÉMISSION
-   ══════════════════════════════════════════════════ */
 
-/**
- * Diffuse un message à tous les onglets connectés à la même session.
- * @param {string} type     - Type de message (cf. MSG)
- * @param {object} payload  - Données supplémentaires
- */
-export function broadcast(type, payload = {}) {
-    if (!_channel || !_state) return;
-    _channel.postMessage({type, from: _state.myId, ...payload});
-}
-
-/**
- * Diffuse l'état complet de la session (facilitateur → tous).
- * Sauvegarde également dans localStorage avant diffusion.
- */
-export function broadcastState() {
-    if (!_state || _state.myRole !== ROLE.FACILITATOR) return;
-    saveSession(_state.session);
-    broadcast(MSG.STATE_SYNC, {state: _state.session});
-    _onStateChange && _onStateChange();
-}
+    function open(hostId) {
+        if (typeof BroadcastChannel === 'undefined') throw {code: 'PEER_ERROR'};
+        close();
+        myId = _randomId();
+        channel = new BroadcastChannel('pps_' + hostId);
+        channel.onmessage = (e) => onMessage(e.data);
+        pingTimer = setInterval(ping, PING_INTERVAL_MS);
+    }
 
-/* ══════════════════════════════════════════════════
-   RÉCEPTION
-   ══════════════════════════════════════════════════ */
+    function close() {
+        links.forEach(({link}) => link.close());
+        links.clear();
+        clearInterval(pingTimer);
+        channel?.close();
+        channel = null;
+        hosting = null;
+        pending = null;
+    }
 
-/**
- * Gestionnaire central des messages BroadcastChannel.
- * @param {MessageEvent} e
- */
-function _onMessage(e) {
-    const msg = e.data;
-    if (!_state || !_state.session) return;
-    if (msg.from === _state.myId) return; // Ignorer ses propres messages
+    function addLink(remote) {
+        const link = createLink(remote, {
+            send: (data) => post('data', remote, data),
+            close: () => {
+                links.delete(remote);
+                post('bye', remote);
+            },
+        });
+        links.set(remote, {link, lastSeen: Date.now()});
+        return link;
+    }
 
-    switch (msg.type) {
+    function ping() {
+        post('ping');
+        links.forEach(({link, lastSeen}, remote) => {
+            if (Date.now() - lastSeen < LINK_TIMEOUT_MS) return;
+            links.delete(remote);
+            link.emit('close');
+        });
+    }
 
-        /* ── Un nouveau participant veut rejoindre ── */
-        case MSG.PARTICIPANT_JOIN: {
-            if (_state.myRole !== ROLE.FACILITATOR) return;
+    function onMessage(msg) {
+        if (!msg || msg.from === myId || (msg.to && msg.to !== myId)) return;
+        const entry = links.get(msg.from);
+        if (entry) entry.lastSeen = Date.now();
 
-            // Doublon ? (rechargement de page)
-            if (_state.session.participants.find(p => p.id === msg.pid)) {
-                broadcastState();
+        switch (msg.kind) {
+            case 'probe':
+                if (hosting) post('host_here', msg.from);
                 break;
-            }
 
-            // Salle pleine (hors facilitateur)
-            const nonFac = _state.session.participants.filter(p => !p.isFacilitator);
-            if (nonFac.length >= MAX_PARTICIPANTS) {
-                broadcast(MSG.ERROR, {to: msg.pid, code: ERR.SESSION_FULL});
+            case 'hello': {
+                if (!hosting || entry) break;
+                const link = addLink(msg.from);
+                hosting(link);
+                post('welcome', msg.from);
+                link.emit('open');
                 break;
             }
 
-            _state.session.participants.push({
-                id: msg.pid,
-                name: msg.name,
-                vote: null,
-                isFacilitator: false,
-            });
-
-            broadcastState();
-            _state.onParticipantJoin && _state.onParticipantJoin(msg.name);
-            break;
-        }
-
-        /* ── Synchronisation d'état complète ── */
-        case MSG.STATE_SYNC: {
-            if (msg.state) {
-                _state.session = msg.state;
-                _onStateChange && _onStateChange();
-            }
-            break;
-        }
+            case 'host_here':
+            case 'welcome':
+                if (pending?.kind === msg.kind) pending.resolve(msg.from);
+                break;
 
-        /* ── Un participant a voté ── */
-        case MSG.VOTE_CAST: {
-            if (_state.myRole !== ROLE.FACILITATOR) return;
-            if (_state.session.status !== STATUS.VOTING) return;
+            case 'data':
+                entry?.link.emit('data', msg.payload);
+                break;
 
-            const voter = _state.session.participants.find(p => p.id === msg.from);
-            if (voter) {
-                voter.vote = msg.vote;
-                broadcastState();
-            }
-            break;
+            case 'bye':
+                if (entry) {
+                    links.delete(msg.from);
+                    entry.link.emit('close');
+                }
+                break;
         }
+    }
 
-        /* ── Un participant quitte ── */
-        case MSG.PARTICIPANT_LEAVE: {
-            if (_state.myRole !== ROLE.FACILITATOR) return;
+    /** Attend un message de type kind pendant ms ; résout l'émetteur, ou null */
+    function waitFor(kind, ms) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                pending = null;
+                resolve(null);
+            }, ms);
+            pending = {
+                kind,
+                resolve: (from) => {
+                    clearTimeout(timer);
+                    pending = null;
+                    resolve(from);
+                },
+            };
+        });
+    }
 
-            _state.session.participants = _state.session.participants.filter(
-                p => p.id !== msg.from
-            );
-            broadcastState();
-            _state.onParticipantLeave && _state.onParticipantLeave();
-            break;
-        }
+    // Fermeture ou rechargement de l'onglet : prévenir les autres extrémités
+    globalThis.addEventListener?.('pagehide', () => links.forEach((_, remote) => post('bye', remote)));
 
-        /* ── Le facilitateur clôture la session ── */
-        case MSG.SESSION_CLOSED: {
-            if (msg.from !== _state.session.facilitatorId) break;
-            _state.onSessionClosed && _state.onSessionClosed();
-            break;
-        }
+    return {
+        name: 'broadcast',
 
-        /* ── Erreur adressée à cet onglet ── */
-        case MSG.ERROR: {
-            if (msg.to !== _state.myId) break;
-            _state.onError && _state.onError(msg.code);
-            break;
-        }
-
-        /* ── Un participant demande l'état courant ── */
-        case MSG.REQUEST_STATE: {
-            if (_state.myRole !== ROLE.FACILITATOR) return;
-            broadcastState();
-            break;
-        }
+        async listen(hostId, onConnection) {
+            open(hostId);
+            const answer = waitFor('host_here', PROBE_MS);
+            post('probe');
+            if (await answer) {
+                close();
+                throw {code: 'ID_TAKEN'};
+            }
+            hosting = onConnection;
+        },
+
+        async connect(hostId) {
+            open(hostId);
+            const answer = waitFor('welcome', CONNECT_TIMEOUT_MS);
+            post('hello');
+            const host = await answer;
+            if (!host) {
+                close();
+                throw {code: 'SESSION_NOT_FOUND'};
+            }
+            const link = addLink(host);
+            link.emit('open');
+            return link;
+        },
 
-        default:
-            break;
-    }
+        destroy: close,
+    };
 }
@@ -1,19 +1,108 @@
 /**
  * config.js — Constantes et structure de données
  *
- * MSG (BroadcastChannel) supprimé — remplacé par WebRTC (webrtc.js).
- * Les types de messages sont désormais des chaînes littérales dans webrtc.js.
+ * Les types de messages sont définis dans protocol.js.
  */
 
 'use strict';
 
 /* ── Règles métier (CDC §4) ──────────────────────────────────────────── */
 
-/** Suite de Fibonacci autorisée pour le vote (CDC §4.2) */
-export const FIBONACCI = [0, 1, 2, 3, 5, 8, 13];
+/**
+ * Jeux de cartes proposés à la création de la session (CDC §4.2).
+ * Les valeurs sont des chaînes : certains jeux ne sont pas numériques.
+ * Le jeu 'custom' est construit à partir de la saisie du facilitateur.
+ */
+export const DECKS = {
+    fibonacci: {label: 'Fibonacci (0 — 13)', cards: ['0', '1', '2', '3', '5', '8', '13']},
+    fibonacci_full: {label: 'Fibonacci complet', cards: ['0', '½', '1', '2', '3', '5', '8', '13', '20', '40', '100']},
+    tshirt: {label: 'Tailles de T-shirt', cards: ['XS', 'S', 'M', 'L', 'XL', 'XXL']},
+    powers: {label: 'Puissances de 2', cards: ['0', '1', '2', '4', '8', '16', '32', '64']},
+    hours: {label: 'Heures', cards: ['1h', '2h', '4h', '8h', '16h', '24h']},
+    custom: {label: 'Personnalisé', cards: []},
+};
+
+/** Jeu utilisé par défaut (suite historique du CDC) */
+export const DEFAULT_DECK = 'fibonacci';
+
+/** Cartes spéciales, ajoutées en option à n'importe quel jeu */
+export const CARD_UNKNOWN = '?';
+export const CARD_COFFEE = '☕';
+
+/** Limites du jeu personnalisé */
+export const CUSTOM_DECK_MAX_CARDS = 20;
+export const CARD_MAX_LENGTH = 6;
 
-/** Nombre maximum de participants hors facilitateur (CDC §3.2) */
+/** Longueur maximale d'un nom (champs de saisie et protocole) */
+export const NAME_MAX_LENGTH = 30;
+
+/**
+ * PIN de session facultatif : longueur, et limitation des essais
+ * (au-delà de PIN_MAX_ATTEMPTS échecs d'un même pair en PIN_LOCK_MS, ses essais sont refusés pendant PIN_LOCK_MS)
+ */
+export const PIN_MIN_LENGTH = 4;
+export const PIN_MAX_LENGTH = 12;
+export const PIN_MAX_ATTEMPTS = 5;
+export const PIN_LOCK_MS = 60000;
+
+/**
+ * Nombre maximum de participants hors facilitateur (CDC §3.2) : valeur par défaut,
+ * réglable à la création entre MIN_PARTICIPANTS_LIMIT et MAX_PARTICIPANTS_LIMIT
+ */
 export const MAX_PARTICIPANTS = 8;
+export const MIN_PARTICIPANTS_LIMIT = 2;
+export const MAX_PARTICIPANTS_LIMIT = 50;
+
+/**
+ * Règle de quasi-consensus (CDC §6), choisie à la création de la session :
+ *   strict    : aucun quasi-consensus, seul le vote unanime compte
+ *   adjacent  : tous les votes sur deux cartes voisines du jeu
+ *   agreement : au moins threshold (0..1) des votes sur la même carte
+ */
+export const CONSENSUS_RULE = {
+    STRICT: 'strict',
+    ADJACENT: 'adjacent',
+    AGREEMENT: 'agreement',
+};
+export const DEFAULT_CONSENSUS_RULE = {type: CONSENSUS_RULE.ADJACENT, threshold: 0.7};
+export const CONSENSUS_THRESHOLD_MIN = 0.5;
+
+/** Le hub regroupe les diffusions d'état d'une même rafale (votes simultanés…) sur ce délai (ms) */
+export const BROADCAST_BATCH_MS = 30;
+
+/** Nombre maximum d'observateurs : ils ne votent pas et n'occupent aucune des places ci-dessus */
+export const MAX_OBSERVERS = 20;
+
+/** Taille maximale du backlog et longueur d'un intitulé d'item */
+export const BACKLOG_MAX_ITEMS = 200;
+export const ITEM_TITLE_MAX_LENGTH = 120;
+
+/** Timer de vote : durée maximale et pas de prolongation (secondes) */
+export const TIMER_MAX_SECONDS = 3600;
+export const TIMER_EXTEND_SECONDS = 30;
+
+/** Transport utilisé sans ?transport= dans l'URL (cf. TRANSPORTS dans transport.js) */
+export const DEFAULT_TRANSPORT = 'webrtc';
+
+/** Chemin WebSocket du relais auto-hébergé (server/relay.mjs, transport 'relay') */
+export const RELAY_PATH = '/relay';
+
+/**
+ * Coupure réseau d'un participant :
+ *  - le hub garde sa place et son vote, marqués « hors ligne », pendant ce délai
+ *  - le participant retente de se connecter pendant ce même délai,
+ *    avec des attentes croissantes entre deux tentatives (la dernière est répétée)
+ */
+export const PARTICIPANT_GRACE_MS = 60000;
+export const RECONNECT_BACKOFF_MS = [1000, 2000, 4000, 8000, 15000];
+
+/**
+ * Changement de facilitateur (hand-off ou disparition du hub) :
+ *  - délai laissé aux derniers messages avant de libérer l'ID du hub
+ *  - décalage entre candidats à la reprise (rang × délai), pour éviter les conflits
+ */
+export const HOST_TRANSFER_FLUSH_MS = 500;
+export const HOST_TAKEOVER_STAGGER_MS = 5000;
 
 /* ── Statuts de session (CDC §4.3) ──────────────────────────────────── */
 
@@ -23,18 +112,36 @@ export const STATUS = {
     REVEALED: 'revealed',
 };
 
+/* ── Statuts des items du backlog ────────────────────────────────────── */
+
+export const ITEM_STATUS = {
+    PENDING: 'pending',
+    IN_PROGRESS: 'in_progress',
+    ESTIMATED: 'estimated',
+};
+
 /* ── Rôles utilisateur (CDC §3) ─────────────────────────────────────── */
 
 export const ROLE = {
     FACILITATOR: 'facilitator',
     PARTICIPANT: 'participant',
+    OBSERVER: 'observer',
 };
 
 /* ── Clés de persistance (CDC §7) ───────────────────────────────────── */
 
-/** Préfixe localStorage — conservé pour la restauration du facilitateur après F5 */
+/** Base IndexedDB : sessions en cours (cf. storage.js) et sessions clôturées (cf. archive.js) */
+export const DB_NAME = 'pps';
+
+/** Session du facilitateur, conservée dans localStorage si IndexedDB est indisponible */
 export const LS_SESSION_PREFIX = 'pps_session_';
 
+/** Session jamais clôturée (onglet fermé) non enregistrée depuis ce délai : supprimée au démarrage */
+export const SESSION_MAX_AGE_MS = 24 * 3600 * 1000;
+
+/** Clé localStorage de la correspondance de colonnes choisie pour la réintégration (cf. export.js) */
+export const LS_WRITEBACK_KEY = 'pps_writeback';
+
 /** Clé sessionStorage pour l'identité de l'utilisateur courant */
 export const SS_ME_KEY = 'pps_me';
 
@@ -49,13 +156,61 @@ export const ERR = {
 
 /**
  * @typedef {'waiting'|'voting'|'revealed'} SessionStatus
- * @typedef {'facilitator'|'participant'}   UserRole
+ * @typedef {'pending'|'in_progress'|'estimated'} ItemStatus
+ * @typedef {'facilitator'|'participant'|'observer'} UserRole
+ *
+ * @typedef {Object} Deck
+ * @property {string}   id     - Clé de DECKS
+ * @property {string}   label
+ * @property {string[]} cards  - Valeurs des cartes, dans l'ordre d'affichage
+ *
+ * @typedef {Object} BacklogItem
+ * @property {string}     id
+ * @property {string}     title
+ * @property {ItemStatus} status
+ * @property {string}     [estimate] - Estimation retenue, une fois l'item estimé
+ * @property {string}     [key]         - Clé du ticket importé (Jira, Azure DevOps)
+ * @property {string}     [link]
+ * @property {string}     [description]
+ *
+ * @typedef {Object} RoundVote
+ * @property {string}      id    - ID du participant
+ * @property {string}      name
+ * @property {string|null} vote
+ *
+ * @typedef {Object} Round
+ * @property {number|null} startedAt   - Lancement du vote (timestamp)
+ * @property {number}      revealedAt  - Révélation (timestamp)
+ * @property {RoundVote[]} votes
+ *
+ * @typedef {'consensus'|'median'|'override'} EstimateMethod
+ *
+ * @typedef {Object} HistoryEntry
+ * @property {string}              id
+ * @property {string|null}         itemId       - Item du backlog (null = saisie libre)
+ * @property {string}              title
+ * @property {Round[]}             rounds
+ * @property {string|null}         estimate     - Estimation finale (null = pas encore validée)
+ * @property {EstimateMethod|null} method
+ * @property {number|null}         estimatedAt
+ *
+ * @typedef {Object} VoteTimer
+ * @property {number}      duration   - Durée initiale (ms)
+ * @property {number|null} deadline   - Fin du vote (timestamp du facilitateur), null si en pause
+ * @property {number|null} remaining  - Temps restant (ms) pendant une pause
+ *
+ * @typedef {Object} ConsensusRule
+ * @property {string} type       - Valeur de CONSENSUS_RULE
+ * @property {number} threshold  - Part minimale de votes identiques (règle 'agreement')
  *
  * @typedef {Object} Participant
  * @property {string}      id
  * @property {string}      name
- * @property {number|null} vote
+ * @property {string|null} vote
  * @property {boolean}     isFacilitator
+ * @property {boolean}     [isObserver]  - Suit la session sans voter (cf. ROLE.OBSERVER)
+ * @property {boolean}     [offline]     - Connexion perdue, place conservée (cf. PARTICIPANT_GRACE_MS)
+ * @property {string}      [secret]      - Secret de reconnexion (cf. transport.js) ; reste sur le hub, jamais diffusé
  *
  * @typedef {Object} Session
  * @property {string}        id
@@ -63,6 +218,18 @@ export const ERR = {
  * @property {string}        facilitatorName
  * @property {SessionStatus} status
  * @property {string}        currentItem
+ * @property {BacklogItem[]} backlog        - File des items à estimer
+ * @property {string|null}   currentItemId  - Item du backlog en cours (null = saisie libre)
+ * @property {HistoryEntry[]} history       - Tours révélés et estimations retenues
+ * @property {number|null}   roundStartedAt - Lancement du tour en cours
+ * @property {VoteTimer|null} timer         - Compte à rebours du tour en cours
+ * @property {boolean}       autoRevealAllVoted - Révéler dès que tous les votants ont voté
+ * @property {boolean}       [facilitatorVotes] - Le facilitateur vote comme les autres membres de l'équipe
+ * @property {number}        [maxParticipants]  - Places de participants (MAX_PARTICIPANTS par défaut)
+ * @property {ConsensusRule} [consensusRule]    - Règle de quasi-consensus (DEFAULT_CONSENSUS_RULE par défaut)
+ * @property {string}        [nextHostId]   - Successeur désigné lors d'un transfert du rôle
+ * @property {string|null}   [pin]          - PIN d'accès ; reste sur le hub, jamais diffusé
+ * @property {Deck}          deck
  * @property {Participant[]} participants
  * @property {number}        createdAt
  */
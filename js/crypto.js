@@ -0,0 +1,110 @@
+/**
+ * crypto.js — Chiffrement de bout en bout des messages (WebCrypto, AES-GCM)
+ *
+ * La clé de session est créée par le facilitateur et transmise dans le
+ * fragment du lien d'invitation (#key=…), que le navigateur n'envoie à aucun
+ * serveur : ni le serveur de signalisation PeerJS ni le relais ne peuvent lire
+ * les items, noms et votes. Un participant qui rejoint avec le code seul doit
+ * saisir la clé.
+ *
+ * Clé : 128 bits, texte base64url (22 caractères).
+ * Message scellé : { iv, data } en base64 — IV aléatoire de 96 bits à chaque message.
+ */
+
+'use strict';
+
+const KEY_BYTES = 16;
+const IV_BYTES = 12;
+
+/* ══════════════════════════════════════════════════
+   CLÉ
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Nouvelle clé de session aléatoire.
+ * @returns {string} base64url
+ */
+export function createKey() {
+    return _toBase64(crypto.getRandomValues(new Uint8Array(KEY_BYTES)))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {*} text
+ * @returns {boolean} true si le texte a la forme d'une clé produite par createKey()
+ */
+export function isKey(text) {
+    return typeof text === 'string' && /^[A-Za-z0-9_-]{22}$/.test(text);
+}
+
+/**
+ * Compare un secret (PIN, secret de reconnexion) à la valeur attendue en temps
+ * constant : la durée ne dépend que de la longueur attendue, pas du premier
+ * caractère différent.
+ *
+ * @param {string} expected
+ * @param {*}      given
+ * @returns {boolean}
+ */
+export function sameSecret(expected, given) {
+    if (typeof given !== 'string') return false;
+    let diff = expected.length ^ given.length;
+    for (let i = 0; i < expected.length; i++) {
+        diff |= expected.charCodeAt(i) ^ (given.charCodeAt(i) || 0);
+    }
+    return diff === 0;
+}
+
+/**
+ * @param {string} text - Clé base64url (cf. isKey)
+ * @returns {Promise<CryptoKey>}
+ */
+export function importKey(text) {
+    if (!isKey(text)) return Promise.reject(new Error('clé invalide'));
+    const raw = _fromBase64(text.replace(/-/g, '+').replace(/_/g, '/') + '==');
+    return crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/* ══════════════════════════════════════════════════
+   CHIFFREMENT
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Chiffre un objet sérialisable en JSON.
+ * @param {CryptoKey} key
+ * @param {object}    obj
+ * @returns {Promise<{iv: string, data: string}>}
+ */
+export async function seal(key, obj) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const plain = new TextEncoder().encode(JSON.stringify(obj));
+    const data = await crypto.subtle.encrypt({name: 'AES-GCM', iv}, key, plain);
+    return {iv: _toBase64(iv), data: _toBase64(new Uint8Array(data))};
+}
+
+/**
+ * Déchiffre un message produit par seal().
+ * @param {CryptoKey} key
+ * @param {{iv: string, data: string}} sealed
+ * @returns {Promise<*>}
+ * @throws {Error} clé différente ou message altéré
+ */
+export async function unseal(key, {iv, data}) {
+    const plain = await crypto.subtle.decrypt({name: 'AES-GCM', iv: _fromBase64(iv)}, key, _fromBase64(data));
+    return JSON.parse(new TextDecoder().decode(plain));
+}
+
+/* ── Base64 ──────────────────────────────────────────────────────────*/
+
+function _toBase64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+    return btoa(bin);
+}
+
+function _fromBase64(text) {
+    const bin = atob(text);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+}
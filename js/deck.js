@@ -0,0 +1,121 @@
+/**
+ * deck.js — Jeux de cartes (CDC §4.2)
+ *
+ * Construction et interrogation du jeu de cartes d'une session.
+ * Fonctions pures, sans accès au DOM ni à l'état global.
+ *
+ * Une carte est toujours une chaîne ('5', '½', 'XL', '4h', '?', '☕').
+ * L'ordre du jeu sert de référence pour comparer des valeurs non numériques.
+ */
+
+'use strict';
+
+import {
+    CARD_COFFEE,
+    CARD_MAX_LENGTH,
+    CARD_UNKNOWN,
+    CUSTOM_DECK_MAX_CARDS,
+    DECKS,
+    DEFAULT_DECK,
+} from './config.js';
+
+/* ══════════════════════════════════════════════════
+   CONSTRUCTION
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Construit le jeu de cartes d'une session.
+ *
+ * @param {string}  deckId             - Clé de DECKS
+ * @param {object}  [opts]
+ * @param {string}  [opts.custom]      - Saisie du jeu personnalisé ('1, 2, 3' ou '1;2;3')
+ * @param {boolean} [opts.special]     - Ajouter les cartes '?' et '☕'
+ * @returns {import('./config.js').Deck|null}  null si le jeu personnalisé est invalide
+ */
+export function buildDeck(deckId = DEFAULT_DECK, {custom = '', special = false} = {}) {
+    const def = DECKS[deckId] ?? DECKS[DEFAULT_DECK];
+    const id = DECKS[deckId] ? deckId : DEFAULT_DECK;
+
+    let cards = def.cards.slice();
+    if (id === 'custom') {
+        cards = parseCustomCards(custom);
+        if (!cards) return null;
+    }
+
+    if (special) {
+        [CARD_UNKNOWN, CARD_COFFEE].forEach(c => {
+            if (!cards.includes(c)) cards.push(c);
+        });
+    }
+
+    return {id, label: def.label, cards};
+}
+
+/**
+ * Découpe la saisie d'un jeu personnalisé.
+ * @param {string} input
+ * @returns {string[]|null}  null si vide, trop long ou si une carte est trop longue
+ */
+export function parseCustomCards(input) {
+    const cards = [...new Set(
+        String(input).split(/[,;]/).map(c => c.trim()).filter(Boolean)
+    )];
+    if (cards.length < 2 || cards.length > CUSTOM_DECK_MAX_CARDS) return null;
+    if (cards.some(c => c.length > CARD_MAX_LENGTH)) return null;
+    return cards;
+}
+
+/**
+ * Jeu d'une session, avec repli sur le jeu par défaut
+ * (sessions enregistrées avant l'introduction des jeux configurables).
+ * @param {import('./config.js').Session} session
+ * @returns {import('./config.js').Deck}
+ */
+export function getDeck(session) {
+    return session?.deck ?? buildDeck(DEFAULT_DECK);
+}
+
+/* ══════════════════════════════════════════════════
+   INTERROGATION
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Carte hors échelle ('?' ou '☕') : exclue des statistiques.
+ * @param {string} card
+ * @returns {boolean}
+ */
+export function isSpecialCard(card) {
+    return card === CARD_UNKNOWN || card === CARD_COFFEE;
+}
+
+/**
+ * La carte appartient-elle au jeu ?
+ * @param {import('./config.js').Deck} deck
+ * @param {*} card
+ * @returns {boolean}
+ */
+export function isValidCard(deck, card) {
+    return typeof card === 'string' && deck.cards.includes(card);
+}
+
+/**
+ * Position de la carte dans le jeu (-1 si absente).
+ * @param {import('./config.js').Deck} deck
+ * @param {string} card
+ * @returns {number}
+ */
+export function cardIndex(deck, card) {
+    return deck.cards.indexOf(card);
+}
+
+/**
+ * Valeur numérique d'une carte, ou null si elle n'en a pas.
+ * '½' → 0.5, '8' → 8, '4h' → 4, 'XL' → null, '?' → null
+ * @param {string} card
+ * @returns {number|null}
+ */
+export function cardNumber(card) {
+    if (card === '½') return 0.5;
+    const m = /^(\d+(?:[.,]\d+)?)h?$/.exec(String(card).trim());
+    return m ? parseFloat(m[1].replace(',', '.')) : null;
+}
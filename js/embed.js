@@ -0,0 +1,166 @@
+/**
+ * embed.js — API d'intégration (iframe, window.postMessage)
+ *
+ * Une page hôte (Confluence, portail interne) intègre l'application dans une
+ * iframe et la pilote par postMessage. Seules les origines déclarées dans
+ * config.json ("embedOrigins", cf. settings.js) sont écoutées et destinataires
+ * des messages : sans liste, l'API est désactivée.
+ *
+ * Commandes Hôte → Application :
+ *   { command: 'createSession', requestId, name, item?, deck? }   deck = clé de DECKS (hors 'custom')
+ *   { command: 'addItems', requestId, items }                     items = chaînes ou { key, summary, link, description }
+ *
+ * Réponses Application → Hôte :
+ *   { source: EMBED_SOURCE, type: 'response', requestId, ok: true, result }
+ *   { source: EMBED_SOURCE, type: 'response', requestId, ok: false, error }
+ *     createSession → result { sessionId, inviteUrl } ; erreurs 'SESSION_ACTIVE', 'CREATE_FAILED'
+ *     addItems      → result { added } ; erreurs 'NOT_FACILITATOR', 'BACKLOG_FULL', codes IMPORT_* (cf. import.js)
+ *     toute commande → 'INVALID_REQUEST', 'UNKNOWN_COMMAND', 'INTERNAL_ERROR' (exception inattendue)
+ *
+ * Événements Application → Hôte (facilitateur de l'iframe uniquement) :
+ *   { source: EMBED_SOURCE, type: 'event', event, data }
+ *     ready              {}
+ *     voteLaunched       { sessionId, item, key, duration }
+ *     votesRevealed      { sessionId, item, key, round, votes: [{ name, vote }], median, consensus }
+ *     estimateCommitted  { sessionId, item, key, estimate, method }
+ *     sessionClosed      { sessionId }
+ * key = clé du ticket (item importé ou début de l'intitulé, cf. export.js), null si absente.
+ */
+
+'use strict';
+
+import {DECKS, ITEM_TITLE_MAX_LENGTH, NAME_MAX_LENGTH, ROLE} from './config.js';
+import {buildDeck, getDeck} from './deck.js';
+import {parseIssueKey} from './export.js';
+import {parseBacklog} from './import.js';
+import {buildInviteUrl, createSession, importBacklog, state} from './session.js';
+import {computeStats} from './stats.js';
+
+/** Champ source des messages émis, pour les distinguer des autres messages reçus par l'hôte */
+export const EMBED_SOURCE = 'planning-poker';
+
+let _origins = [];
+
+/* ══════════════════════════════════════════════════
+   INITIALISATION
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Active l'API si l'application est dans une iframe et qu'au moins une origine est autorisée.
+ * @param {string[]} origins - Origines autorisées (ex : 'https://wiki.intranet')
+ * @param {object}   handlers
+ * @param {Function} handlers.onReady  - cf. createSession()
+ * @param {Function} handlers.onRender
+ * @returns {boolean} true si l'API est active
+ */
+export function initEmbed(origins, {onReady, onRender}) {
+    if (window.parent === window || !origins.length) return false;
+    _origins = origins;
+
+    window.addEventListener('message', (e) => {
+        if (e.source !== window.parent || !_origins.includes(e.origin)) return;
+        _handle(e.data, {onReady, onRender})
+            .catch(err => {
+                console.error('[embed]', err);
+                return {requestId: e.data?.requestId ?? null, ok: false, error: 'INTERNAL_ERROR'};
+            })
+            .then(reply => _post({type: 'response', ...reply}, e.origin));
+    });
+
+    state.onVoteLaunched = (session) => _emit('voteLaunched', {
+        ..._itemFields(session, session.currentItem, session.currentItemId),
+        duration: session.timer ? session.timer.duration / 1000 : 0,
+    });
+    state.onVotesRevealed = (session, entry) => {
+        const round = entry.rounds[entry.rounds.length - 1];
+        const stats = computeStats(round.votes.map(v => v.vote), getDeck(session), session.consensusRule);
+        _emit('votesRevealed', {
+            ..._itemFields(session, entry.title, entry.itemId),
+            round: entry.rounds.length,
+            votes: round.votes.map(v => ({name: v.name, vote: v.vote})),
+            median: stats.median,
+            consensus: stats.consensus,
+        });
+    };
+    state.onEstimateCommitted = (session, entry) => _emit('estimateCommitted', {
+        ..._itemFields(session, entry.title, entry.itemId),
+        estimate: entry.estimate,
+        method: entry.method,
+    });
+    state.onSessionEnded = (session) => _emit('sessionClosed', {sessionId: session.id});
+
+    _emit('ready', {});
+    return true;
+}
+
+/* ══════════════════════════════════════════════════
+   COMMANDES
+   ══════════════════════════════════════════════════ */
+
+const _isText = (v, max) => typeof v === 'string' && v.trim().length > 0 && v.length <= max;
+
+/**
+ * @param {*} data
+ * @param {object} handlers
+ * @returns {Promise<object>} Réponse, sans type ni source
+ */
+async function _handle(data, {onReady, onRender}) {
+    const requestId = data?.requestId ?? null;
+    if (!data || typeof data !== 'object' || typeof data.command !== 'string') {
+        return {requestId, ok: false, error: 'INVALID_REQUEST'};
+    }
+
+    switch (data.command) {
+        case 'createSession': {
+            if (!_isText(data.name, NAME_MAX_LENGTH)
+                || (data.item !== undefined && !(typeof data.item === 'string' && data.item.length <= ITEM_TITLE_MAX_LENGTH))
+                || (data.deck !== undefined && !(Object.hasOwn(DECKS, data.deck) && data.deck !== 'custom'))) {
+                return {requestId, ok: false, error: 'INVALID_REQUEST'};
+            }
+            if (state.session) return {requestId, ok: false, error: 'SESSION_ACTIVE'};
+            const ok = await createSession(data.name.trim(), data.item?.trim() ?? '', onReady, onRender,
+                {deck: buildDeck(data.deck)});
+            return ok
+                ? {requestId, ok: true, result: {sessionId: state.sessionId, inviteUrl: buildInviteUrl()}}
+                : {requestId, ok: false, error: 'CREATE_FAILED'};
+        }
+
+        case 'addItems': {
+            if (!Array.isArray(data.items)) return {requestId, ok: false, error: 'INVALID_REQUEST'};
+            if (!state.session || state.myRole !== ROLE.FACILITATOR) {
+                return {requestId, ok: false, error: 'NOT_FACILITATOR'};
+            }
+            const parsed = parseBacklog(JSON.stringify(data.items), 'embed.json');
+            if (!parsed.success) return {requestId, ok: false, error: parsed.error};
+            if (!importBacklog(parsed.items)) return {requestId, ok: false, error: 'BACKLOG_FULL'};
+            return {requestId, ok: true, result: {added: parsed.items.length}};
+        }
+
+        default:
+            return {requestId, ok: false, error: 'UNKNOWN_COMMAND'};
+    }
+}
+
+/* ══════════════════════════════════════════════════
+   ÉMISSION
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Intitulé et clé de ticket d'un item.
+ * @param {import('./config.js').Session} session
+ * @param {string}      title
+ * @param {string|null} itemId
+ */
+function _itemFields(session, title, itemId) {
+    const item = session.backlog.find(i => i.id === itemId);
+    return {sessionId: session.id, item: title, key: item?.key || parseIssueKey(title)};
+}
+
+function _emit(event, data) {
+    _origins.forEach(origin => _post({type: 'event', event, data}, origin));
+}
+
+/** Le navigateur ne remet le message que si la page hôte a bien cette origine */
+function _post(msg, origin) {
+    window.parent.postMessage({source: EMBED_SOURCE, ...msg}, origin);
+}
@@ -0,0 +1,259 @@
+/**
+ * export.js — Export des résultats de la session
+ *
+ * Génère, côté client, les résultats des items estimés dans trois formats :
+ *  - CSV      → import Jira / Excel
+ *  - JSON     → outillage
+ *  - Markdown → compte rendu de réunion
+ *
+ * et le fichier de réintégration des estimations dans Jira ou Azure DevOps
+ * (import CSV en masse : une colonne clé du ticket, une colonne estimation).
+ *
+ * Fonctions pures : elles ne lisent que l'objet Session.
+ * Le téléchargement est assuré par downloadFile() (ui.js).
+ */
+
+'use strict';
+
+import {cardNumber} from './deck.js';
+
+/* ══════════════════════════════════════════════════
+   DONNÉES EXPORTÉES
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Entrées d'historique dont l'estimation a été validée.
+ * @param {import('./config.js').Session} session
+ * @returns {import('./config.js').HistoryEntry[]}
+ */
+export function getEstimatedEntries(session) {
+    return (session.history ?? []).filter(e => e.estimate !== null);
+}
+
+/**
+ * Colonnes « participant » : tous les votants rencontrés, dans l'ordre d'apparition.
+ * @param {import('./config.js').HistoryEntry[]} entries
+ * @returns {{id: string, name: string}[]}
+ */
+function _collectVoters(entries) {
+    const voters = new Map();
+    entries.forEach(e => e.rounds.forEach(r => r.votes.forEach(v => {
+        if (!voters.has(v.id)) voters.set(v.id, v.name);
+    })));
+    return [...voters].map(([id, name]) => ({id, name}));
+}
+
+/**
+ * Votes du dernier tour d'une entrée, indexés par ID de participant.
+ * @param {import('./config.js').HistoryEntry} entry
+ * @returns {Map<string, string|null>}
+ */
+function _lastVotes(entry) {
+    const last = entry.rounds[entry.rounds.length - 1];
+    return new Map((last?.votes ?? []).map(v => [v.id, v.vote]));
+}
+
+function _iso(ts) {
+    return ts ? new Date(ts).toISOString() : '';
+}
+
+/* ══════════════════════════════════════════════════
+   CSV
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Cellule CSV. Une valeur qui commence par =, +, -, @, tabulation ou retour chariot
+ * serait évaluée comme une formule par le tableur : elle est préfixée d'une apostrophe.
+ * @param {*} value
+ * @returns {string}
+ */
+function _csvCell(value) {
+    let str = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Une ligne par item estimé, une colonne par participant (votes du dernier tour).
+ * @param {import('./config.js').Session} session
+ * @returns {string}
+ */
+export function toCsv(session) {
+    const entries = getEstimatedEntries(session);
+    const voters = _collectVoters(entries);
+
+    const header = ['Item', 'Estimation', 'Méthode', 'Tours', 'Estimé le', ...voters.map(v => v.name)];
+    const rows = entries.map(e => {
+        const votes = _lastVotes(e);
+        return [
+            e.title, e.estimate, e.method, e.rounds.length, _iso(e.estimatedAt),
+            ...voters.map(v => votes.get(v.id) ?? ''),
+        ];
+    });
+
+    return [header, ...rows].map(r => r.map(_csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/* ══════════════════════════════════════════════════
+   JSON
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Export complet : métadonnées de session et détail de chaque tour.
+ * @param {import('./config.js').Session} session
+ * @returns {string}
+ */
+export function toJson(session) {
+    const data = {
+        session: {
+            id: session.id,
+            facilitator: session.facilitatorName,
+            createdAt: _iso(session.createdAt),
+            exportedAt: _iso(Date.now()),
+            deck: session.deck?.cards ?? [],
+        },
+        items: getEstimatedEntries(session).map(e => ({
+            title: e.title,
+            estimate: e.estimate,
+            method: e.method,
+            estimatedAt: _iso(e.estimatedAt),
+            rounds: e.rounds.map(r => ({
+                startedAt: _iso(r.startedAt),
+                revealedAt: _iso(r.revealedAt),
+                votes: r.votes.map(v => ({name: v.name, vote: v.vote})),
+            })),
+        })),
+    };
+    return JSON.stringify(data, null, 2);
+}
+
+/* ══════════════════════════════════════════════════
+   MARKDOWN
+   ══════════════════════════════════════════════════ */
+
+function _mdCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Tableau Markdown prêt à coller dans un compte rendu.
+ * @param {import('./config.js').Session} session
+ * @returns {string}
+ */
+export function toMarkdown(session) {
+    const entries = getEstimatedEntries(session);
+    const date = new Date(session.createdAt ?? Date.now()).toLocaleDateString('fr-FR');
+
+    const lines = [
+        `## Planning Poker — session ${_mdCell(session.id)} (${date})`,
+        '',
+        '| Item | Estimation | Tours | Votes (dernier tour) |',
+        '| --- | :---: | :---: | --- |',
+        ...entries.map(e => {
+            const last = e.rounds[e.rounds.length - 1];
+            const votes = (last?.votes ?? []).map(v => `${v.name} : ${v.vote ?? '–'}`).join(', ');
+            return `| ${_mdCell(e.title)} | ${_mdCell(e.estimate)} | ${e.rounds.length} | ${_mdCell(votes)} |`;
+        }),
+    ];
+    return lines.join('\n') + '\n';
+}
+
+/* ══════════════════════════════════════════════════
+   RÉINTÉGRATION — Jira, Azure DevOps
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Outils cibles et colonnes attendues par leur import CSV (valeurs par défaut,
+ * modifiables par l'équipe : champ personnalisé, « Story Points » renommé…).
+ */
+export const WRITEBACK_TARGETS = {
+    jira: {label: 'Jira', keyColumn: 'Issue key', valueColumn: 'Story Points'},
+    azure: {label: 'Azure DevOps', keyColumn: 'ID', valueColumn: 'Effort'},
+};
+
+/**
+ * @typedef {Object} WritebackMapping
+ * @property {string} target      - Clé de WRITEBACK_TARGETS
+ * @property {string} keyColumn   - En-tête de la colonne clé du ticket
+ * @property {string} valueColumn - En-tête de la colonne estimation
+ */
+
+/**
+ * Clé de ticket en tête d'un intitulé d'item :
+ * 'US-42 — Connexion OAuth' → 'US-42', '#1234 Export PDF' → '1234'.
+ * Un nombre sans '#' n'est une clé que pour Azure DevOps, suivi d'un séparateur
+ * ('1234 — Export PDF', cf. itemTitle() dans import.js) : '2 factor auth' n'en a pas.
+ * @param {string} title
+ * @param {string} [target] - Clé de WRITEBACK_TARGETS
+ * @returns {string|null}
+ */
+export function parseIssueKey(title, target) {
+    const text = String(title ?? '');
+    const m = /^\s*(?:([A-Z][A-Z0-9_]*-\d+)|#(\d+))(?=$|[\s:—–-])/.exec(text);
+    if (m) return m[1] ?? m[2];
+    if (target !== 'azure') return null;
+    return /^\s*(\d+)(?=\s*(?:$|[:—–-]))/.exec(text)?.[1] ?? null;
+}
+
+/**
+ * Items estimés et leur clé de ticket : celle de l'item importé dans le backlog,
+ * sinon celle qui ouvre l'intitulé (cf. parseIssueKey).
+ * @param {import('./config.js').Session} session
+ * @param {string} [target] - Clé de WRITEBACK_TARGETS
+ * @returns {{title: string, key: string|null, estimate: string}[]}
+ */
+export function getWritebackRows(session, target) {
+    return getEstimatedEntries(session).map(e => {
+        const item = (session.backlog ?? []).find(i => i.id === e.itemId);
+        return {title: e.title, key: item?.key || parseIssueKey(e.title, target), estimate: e.estimate};
+    });
+}
+
+/**
+ * Fichier d'import CSV : une ligne par item estimé doté d'une clé de ticket.
+ * Les estimations sont écrites en nombre ('½' → '0.5') : la colonne cible
+ * (Story Points, Effort) est numérique, les items estimés par une carte non
+ * numérique ('?', '☕', taille de T-shirt) sont écartés.
+ * @param {import('./config.js').Session} session
+ * @param {WritebackMapping} mapping
+ * @returns {{content: string, count: number, noKey: number, nonNumeric: {key: string, estimate: string}[]}}
+ *          noKey = items estimés sans clé, nonNumeric = items écartés pour leur estimation
+ */
+export function toWriteback(session, mapping) {
+    const rows = getWritebackRows(session, mapping.target);
+    const keyed = rows.filter(r => r.key);
+    const numeric = keyed.filter(r => cardNumber(r.estimate) !== null);
+    const lines = [
+        [mapping.keyColumn, mapping.valueColumn],
+        ...numeric.map(r => [r.key, cardNumber(r.estimate)]),
+    ].map(row => row.map(_csvCell).join(','));
+    return {
+        content: lines.join('\r\n') + '\r\n',
+        count: numeric.length,
+        noKey: rows.length - keyed.length,
+        nonNumeric: keyed.filter(r => cardNumber(r.estimate) === null).map(({key, estimate}) => ({key, estimate})),
+    };
+}
+
+/* ══════════════════════════════════════════════════
+   FORMATS
+   ══════════════════════════════════════════════════ */
+
+/** Générateur, extension et type MIME de chaque format d'export */
+export const EXPORT_FORMATS = {
+    // BOM UTF-8 : sans lui, Excel affiche mal les accents
+    csv: {build: s => '\uFEFF' + toCsv(s), ext: 'csv', mime: 'text/csv;charset=utf-8'},
+    json: {build: toJson, ext: 'json', mime: 'application/json'},
+    md: {build: toMarkdown, ext: 'md', mime: 'text/markdown;charset=utf-8'},
+};
+
+/**
+ * Nom du fichier exporté, ex : 'planning-poker-A3F7-2026-10-19.csv'
+ * @param {import('./config.js').Session} session
+ * @param {string} ext
+ * @returns {string}
+ */
+export function exportFilename(session, ext) {
+    const day = new Date(session.createdAt ?? Date.now()).toISOString().slice(0, 10);
+    return `planning-poker-${session.id}-${day}.${ext}`;
+}
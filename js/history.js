@@ -0,0 +1,45 @@
+/**
+ * history.js — Historique des estimations de la session
+ *
+ * session.history contient une entrée par item estimé : les votes de chaque
+ * tour révélé (horodatés) et l'estimation finale retenue par le facilitateur.
+ *
+ * Fonctions de lecture pures ; les mutations restent dans session.js.
+ */
+
+'use strict';
+
+/**
+ * L'entrée concerne-t-elle l'item actuellement affiché ?
+ * Item du backlog → comparaison par ID ; saisie libre → par intitulé.
+ * @param {import('./config.js').Session} session
+ * @param {import('./config.js').HistoryEntry} entry
+ * @returns {boolean}
+ */
+function _isCurrent(session, entry) {
+    if (session.currentItemId) return entry.itemId === session.currentItemId;
+    return entry.itemId === null && entry.title === session.currentItem;
+}
+
+/**
+ * Dernière entrée de l'item courant, estimée ou non.
+ * @param {import('./config.js').Session} session
+ * @returns {import('./config.js').HistoryEntry|null}
+ */
+export function getCurrentEntry(session) {
+    const history = session.history ?? [];
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (_isCurrent(session, history[i])) return history[i];
+    }
+    return null;
+}
+
+/**
+ * Entrée de l'item courant encore ouverte (estimation non validée).
+ * @param {import('./config.js').Session} session
+ * @returns {import('./config.js').HistoryEntry|null}
+ */
+export function getOpenEntry(session) {
+    const entry = getCurrentEntry(session);
+    return entry && entry.estimate === null ? entry : null;
+}
@@ -0,0 +1,73 @@
+/**
+ * idb.js — Base IndexedDB de l'application
+ *
+ * Une seule base (DB_NAME) pour les sessions en cours (storage.js) et les
+ * sessions clôturées (archive.js). Chaque version de la base a son étape de
+ * mise à niveau (UPGRADES) : à l'ouverture, un navigateur resté sur une version
+ * antérieure applique dans l'ordre celles qui lui manquent.
+ *
+ * La structure des données enregistrées a sa propre version (cf. SCHEMA_VERSION
+ * dans storage.js) : UPGRADES ne crée que les magasins et les index.
+ */
+
+'use strict';
+
+import {DB_NAME} from './config.js';
+
+/** Magasins de la base */
+export const STORES = {
+    SESSIONS: 'sessions',   // StoredSession (cf. storage.js), clé id
+    ARCHIVES: 'archives',   // ArchivedSession (cf. archive.js), clé id, index closedAt
+};
+
+/**
+ * UPGRADES[n] amène la base de la version n à la version n + 1.
+ * @type {function(IDBDatabase): void}[]
+ */
+const UPGRADES = [
+    // 0 → 1 : sessions en cours, archives
+    (db) => {
+        db.createObjectStore(STORES.SESSIONS, {keyPath: 'id'});
+        db.createObjectStore(STORES.ARCHIVES, {keyPath: 'id'}).createIndex('closedAt', 'closedAt');
+    },
+];
+
+const DB_VERSION = UPGRADES.length;
+
+let _dbPromise = null;
+
+/**
+ * Ouvre la base (une seule fois par page ; nouvel essai après un échec).
+ * @returns {Promise<IDBDatabase>} Rejetée si IndexedDB est indisponible
+ */
+export function openDatabase() {
+    if (_dbPromise) return _dbPromise;
+    _dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = (e) => {
+            for (let v = e.oldVersion; v < DB_VERSION; v++) UPGRADES[v](req.result);
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+    _dbPromise.catch(() => { _dbPromise = null; });
+    return _dbPromise;
+}
+
+/**
+ * Exécute une requête sur un magasin, dans sa propre transaction.
+ * @param {string} store - Valeur de STORES
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest} run
+ * @returns {Promise<*>} Résultat de la requête, une fois la transaction terminée
+ */
+export async function storeRequest(store, mode, run) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(store, mode);
+        const req = run(tx.objectStore(store));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
@@ -0,0 +1,218 @@
+/**
+ * import.js — Import d'un backlog (texte collé, CSV ou JSON)
+ *
+ * Formats reconnus :
+ *  - Texte libre : une ligne = un item
+ *  - CSV  : export Jira (Issue key, Summary…) ou Azure DevOps (ID, Title…),
+ *           séparateur ',' ';' ou tabulation, en-tête obligatoire
+ *  - JSON : tableau de chaînes ou d'objets { key, summary|title, link, description },
+ *           réponse Jira REST ({ issues: [...] }) ou Azure DevOps ({ value: [...] })
+ *
+ * Fonction pure : aucune dépendance au DOM ni à l'état de la session.
+ * Les erreurs sont retournées sous forme de code (cf. app.js pour les libellés).
+ */
+
+'use strict';
+
+import {BACKLOG_MAX_ITEMS, ITEM_TITLE_MAX_LENGTH} from './config.js';
+
+/**
+ * @typedef {Object} ImportedItem
+ * @property {string} key          - Clé du ticket ('' si absente)
+ * @property {string} summary
+ * @property {string} link
+ * @property {string} description
+ *
+ * @typedef {Object} ImportResult
+ * @property {boolean}        success
+ * @property {ImportedItem[]} [items]
+ * @property {string}         [error] - 'IMPORT_EMPTY'|'IMPORT_INVALID_JSON'|'IMPORT_INVALID_CSV'
+ *                                      |'IMPORT_NO_SUMMARY'|'IMPORT_TOO_MANY'
+ * @property {number}         [line]  - Ligne fautive (CSV)
+ */
+
+/* ── Noms de colonnes reconnus (comparaison insensible à la casse) ──── */
+const COLUMNS = {
+    key: ['issue key', 'key', 'clé', 'cle', 'id', 'work item id'],
+    summary: ['summary', 'title', 'résumé', 'resume', 'titre', 'intitulé', 'item'],
+    link: ['link', 'url', 'lien'],
+    description: ['description'],
+};
+
+/* ══════════════════════════════════════════════════
+   POINT D'ENTRÉE
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Analyse un backlog collé ou issu d'un fichier.
+ *
+ * @param {string} text
+ * @param {string} [filename] - Nom du fichier déposé, pour choisir le format
+ * @returns {ImportResult}
+ */
+export function parseBacklog(text, filename = '') {
+    const content = String(text ?? '').replace(/^\uFEFF/, '').trim();
+    if (!content) return {success: false, error: 'IMPORT_EMPTY'};
+
+    const name = filename.toLowerCase();
+
+    let result;
+    if (name.endsWith('.json') || /^[[{]/.test(content)) {
+        // Contenu qui ressemble à du JSON : une erreur est signalée, pas d'import en texte libre
+        result = _parseJson(content);
+    } else if (name.endsWith('.csv') || _looksLikeCsv(content)) {
+        result = _parseCsv(content);
+    } else {
+        result = {
+            success: true,
+            items: content.split(/\r?\n/).map(l => l.trim()).filter(Boolean)
+                .map(summary => _item({summary})),
+        };
+    }
+
+    if (!result.success) return result;
+    const items = result.items.filter(i => i.summary);
+    if (!items.length) return {success: false, error: 'IMPORT_EMPTY'};
+    if (items.length > BACKLOG_MAX_ITEMS) return {success: false, error: 'IMPORT_TOO_MANY'};
+    return {success: true, items};
+}
+
+/**
+ * Intitulé affiché d'un item importé : 'US-42 — Connexion OAuth'.
+ * @param {ImportedItem} item
+ * @returns {string}
+ */
+export function itemTitle(item) {
+    const title = item.key ? `${item.key} — ${item.summary}` : item.summary;
+    return title.slice(0, ITEM_TITLE_MAX_LENGTH);
+}
+
+function _item({key = '', summary = '', link = '', description = ''}) {
+    return {
+        key: String(key ?? '').trim(),
+        summary: String(summary ?? '').trim(),
+        link: String(link ?? '').trim(),
+        description: String(description ?? '').trim(),
+    };
+}
+
+/* ══════════════════════════════════════════════════
+   JSON
+   ══════════════════════════════════════════════════ */
+
+function _parseJson(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (_) {
+        return {success: false, error: 'IMPORT_INVALID_JSON'};
+    }
+
+    // Enveloppes Jira REST / Azure DevOps / { items: [...] }
+    const list = Array.isArray(data) ? data : (data?.issues ?? data?.value ?? data?.items);
+    if (!Array.isArray(list) || !list.every(e => typeof e === 'string' || (e && typeof e === 'object'))) {
+        return {success: false, error: 'IMPORT_INVALID_JSON'};
+    }
+
+    return {success: true, items: list.map(_jsonItem)};
+}
+
+function _jsonItem(entry) {
+    if (typeof entry === 'string') return _item({summary: entry});
+
+    const fields = entry.fields ?? {};
+    return _item({
+        key: entry.key ?? entry.id ?? '',
+        summary: entry.summary ?? entry.title ?? fields.summary ?? fields['System.Title'] ?? '',
+        link: entry.link ?? entry.url ?? entry._links?.html?.href ?? '',
+        description: entry.description ?? fields.description ?? fields['System.Description'] ?? '',
+    });
+}
+
+/* ══════════════════════════════════════════════════
+   CSV
+   ══════════════════════════════════════════════════ */
+
+function _delimiter(line) {
+    const counts = [',', ';', '\t'].map(d => [d, line.split(d).length]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][0];
+}
+
+/** Texte collé sans nom de fichier : CSV seulement si l'en-tête est reconnu. */
+function _looksLikeCsv(content) {
+    const first = content.split(/\r?\n/, 1)[0];
+    const cells = first.split(_delimiter(first)).map(c => c.trim().replace(/^"|"$/g, '').toLowerCase());
+    return cells.length > 1 && cells.some(c => COLUMNS.summary.includes(c));
+}
+
+/**
+ * Découpe un CSV en lignes de cellules (guillemets doublés, retours à la ligne dans les cellules).
+ * @returns {string[][]|null} null si un guillemet n'est pas refermé
+ */
+function _splitCsv(content, delim) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const ch = content[i];
+        if (quoted) {
+            if (ch === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delim) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && content[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (quoted) return null;
+    row.push(cell);
+    rows.push(row);
+    return rows;
+}
+
+function _parseCsv(content) {
+    const delim = _delimiter(content.split(/\r?\n/, 1)[0]);
+    const rows = _splitCsv(content, delim);
+    if (!rows) return {success: false, error: 'IMPORT_INVALID_CSV'};
+
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    const col = {};
+    Object.entries(COLUMNS).forEach(([field, names]) => {
+        // Les alias sont listés par priorité ('Issue key' avant 'ID')
+        const name = names.find(n => header.includes(n));
+        col[field] = name ? header.indexOf(name) : -1;
+    });
+    if (col.summary < 0) return {success: false, error: 'IMPORT_NO_SUMMARY', line: 1};
+
+    const items = [];
+    for (let i = 1; i < rows.length; i++) {
+        const cells = rows[i];
+        if (cells.every(c => !c.trim())) continue; // ligne vide
+        if (!cells[col.summary]?.trim()) return {success: false, error: 'IMPORT_NO_SUMMARY', line: i + 1};
+        items.push(_item({
+            key: col.key >= 0 ? cells[col.key] : '',
+            summary: cells[col.summary],
+            link: col.link >= 0 ? cells[col.link] : '',
+            description: col.description >= 0 ? cells[col.description] : '',
+        }));
+    }
+    return {success: true, items};
+}
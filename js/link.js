@@ -0,0 +1,57 @@
+/**
+ * link.js — Connexion point à point des transports sans PeerJS
+ *
+ * Reproduit la forme d'une DataConnection PeerJS (peer, open, send, close, on),
+ * seule interface dont transport.js a besoin. Le transport qui crée le lien
+ * fournit l'envoi vers l'autre extrémité et y relaie les événements reçus
+ * via emit().
+ */
+
+'use strict';
+
+/**
+ * @param {string} peer - Identifiant de l'autre extrémité
+ * @param {object} io
+ * @param {(data: object) => void} io.send  - Achemine un message vers l'autre extrémité
+ * @param {() => void}             io.close - Prévient l'autre extrémité de la fermeture
+ * @returns {object} Link, avec emit(event, data) réservé au transport
+ */
+export function createLink(peer, {send, close}) {
+    const handlers = {};
+    const fire = (event, data) => (handlers[event] ?? []).forEach(cb => cb(data));
+
+    const link = {
+        peer,
+        open: false,
+
+        on(event, cb) {
+            (handlers[event] ??= []).push(cb);
+        },
+
+        send(data) {
+            if (!link.open) throw new Error('link closed');
+            send(data);
+        },
+
+        /** Fermeture locale : l'autre extrémité est prévenue */
+        close() {
+            if (!link.open) return;
+            link.open = false;
+            close();
+            fire('close');
+        },
+
+        /** Transport → lien : 'open', 'data' ou 'close' reçu de l'autre extrémité */
+        emit(event, data) {
+            if (event === 'open') {
+                link.open = true;
+            } else if (!link.open) {
+                return;
+            } else if (event === 'close') {
+                link.open = false;
+            }
+            fire(event, data);
+        },
+    };
+    return link;
+}
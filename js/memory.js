@@ -0,0 +1,80 @@
+/**
+ * memory.js — Transport en mémoire (cf. transport.js)
+ *
+ * Hub et participants vivent dans le même contexte JavaScript : aucun réseau,
+ * aucune API du navigateur. Sert aux tests sans navigateur du cycle de vie
+ * complet d'une session. Les messages sont sérialisés en JSON et livrés de
+ * façon asynchrone, comme sur un vrai transport.
+ */
+
+'use strict';
+
+import {createLink} from './link.js';
+
+/** Hubs ouverts, partagés par tous les transports en mémoire : hostId → accept(link) */
+const _hosts = new Map();
+let _seq = 0;
+
+const _later = (fn) => setTimeout(fn, 0);
+
+function _deliver(link, data) {
+    const copy = JSON.parse(JSON.stringify(data));
+    _later(() => link.emit('data', copy));
+}
+
+/**
+ * @returns {object} Transport (listen, connect, destroy)
+ */
+export function createMemoryTransport() {
+    let hosted = null; // hostId du hub ouvert par ce transport
+    const links = new Set();
+
+    const track = (link) => {
+        links.add(link);
+        link.on('close', () => links.delete(link));
+    };
+
+    return {
+        name: 'memory',
+
+        listen(hostId, onConnection) {
+            if (_hosts.has(hostId)) return Promise.reject({code: 'ID_TAKEN'});
+            hosted = hostId;
+            _hosts.set(hostId, (link) => {
+                track(link);
+                onConnection(link);
+            });
+            return Promise.resolve();
+        },
+
+        connect(hostId) {
+            const accept = _hosts.get(hostId);
+            if (!accept) return Promise.reject({code: 'SESSION_NOT_FOUND'});
+
+            // a : notre extrémité, b : celle du hub
+            const a = createLink(hostId, {
+                send: (data) => _deliver(b, data),
+                close: () => _later(() => b.emit('close')),
+            });
+            const b = createLink(`mem-${++_seq}`, {
+                send: (data) => _deliver(a, data),
+                close: () => _later(() => a.emit('close')),
+            });
+            track(a);
+            accept(b);
+
+            return new Promise((resolve) => _later(() => {
+                b.emit('open');
+                a.emit('open');
+                resolve(a);
+            }));
+        },
+
+        destroy() {
+            if (hosted) _hosts.delete(hosted);
+            hosted = null;
+            [...links].forEach(link => link.close());
+            links.clear();
+        },
+    };
+}
@@ -0,0 +1,117 @@
+/**
+ * patch.js — Différences entre deux états JSON (state_patch, cf. transport.js)
+ *
+ * Opérations, chemin = liste de clés d'objet ou d'index de tableau :
+ *   { op: 'set',  path, value }    crée ou remplace la valeur
+ *   { op: 'del',  path }           supprime une clé d'objet
+ *   { op: 'trim', path, length }   raccourcit un tableau
+ *
+ * Les tableaux sont comparés index par index : un élément ajouté en fin
+ * (historique, backlog) ne produit qu'un 'set'.
+ *
+ * Fonctions pures : aucune dépendance au DOM ni au transport.
+ */
+
+'use strict';
+
+/** Clés refusées à l'application d'un patch reçu */
+const FORBIDDEN_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+const _isObject = v => v !== null && typeof v === 'object';
+
+/**
+ * Opérations qui transforment prev en next.
+ * @param {*} prev
+ * @param {*} next
+ * @returns {object[]} Vide si les deux valeurs sont identiques
+ */
+export function diff(prev, next) {
+    const ops = [];
+    _diff(prev, next, [], ops);
+    return ops;
+}
+
+function _diff(prev, next, path, ops) {
+    if (prev === next) return;
+
+    if (Array.isArray(prev) && Array.isArray(next)) {
+        const common = Math.min(prev.length, next.length);
+        for (let i = 0; i < common; i++) _diff(prev[i], next[i], [...path, i], ops);
+        for (let i = common; i < next.length; i++) ops.push({op: 'set', path: [...path, i], value: next[i]});
+        if (next.length < prev.length) ops.push({op: 'trim', path, length: next.length});
+        return;
+    }
+
+    if (_isObject(prev) && _isObject(next) && !Array.isArray(prev) && !Array.isArray(next)) {
+        for (const key of Object.keys(prev)) {
+            if (!(key in next) || next[key] === undefined) {
+                if (prev[key] !== undefined) ops.push({op: 'del', path: [...path, key]});
+            } else {
+                _diff(prev[key], next[key], [...path, key], ops);
+            }
+        }
+        for (const key of Object.keys(next)) {
+            if (next[key] !== undefined && (!(key in prev) || prev[key] === undefined)) {
+                ops.push({op: 'set', path: [...path, key], value: next[key]});
+            }
+        }
+        return;
+    }
+
+    ops.push({op: 'set', path, value: next});
+}
+
+/**
+ * Applique des opérations produites par diff(). Modifie target.
+ * @param {*}        target
+ * @param {object[]} ops
+ * @returns {*} Nouvelle racine (différente de target si une opération remplace la racine)
+ * @throws {Error} opération ou chemin invalide
+ */
+export function applyPatch(target, ops) {
+    let root = target;
+    for (const op of ops) {
+        if (!op || !Array.isArray(op.path) || !op.path.every(_isKey)) throw new Error('chemin invalide');
+
+        if (!op.path.length) {
+            if (op.op !== 'set') throw new Error('opération invalide');
+            root = op.value;
+            continue;
+        }
+
+        const parent = op.path.slice(0, -1).reduce((node, key) => {
+            if (!_isObject(node?.[key])) throw new Error('chemin introuvable');
+            return node[key];
+        }, root);
+        if (!_isObject(parent)) throw new Error('chemin introuvable');
+        const key = op.path[op.path.length - 1];
+
+        // Tableau : index entiers, sans trou
+        if (Array.isArray(parent) && !(Number.isInteger(key) && key <= parent.length && op.op !== 'del')) {
+            throw new Error('index invalide');
+        }
+
+        switch (op.op) {
+            case 'set':
+                parent[key] = op.value;
+                break;
+            case 'del':
+                delete parent[key];
+                break;
+            case 'trim':
+                if (!Array.isArray(parent[key]) || !Number.isInteger(op.length) || op.length < 0) {
+                    throw new Error('opération invalide');
+                }
+                parent[key].length = Math.min(parent[key].length, op.length);
+                break;
+            default:
+                throw new Error('opération invalide');
+        }
+    }
+    return root;
+}
+
+function _isKey(key) {
+    return (typeof key === 'string' && !FORBIDDEN_KEYS.includes(key))
+        || (Number.isInteger(key) && key >= 0);
+}
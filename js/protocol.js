@@ -0,0 +1,143 @@
+/**
+ * protocol.js — Protocole d'échange facilitateur ↔ participants
+ *
+ * Chaque message porte la version du protocole (champ v) et son type.
+ * Tout message reçu, d'un côté comme de l'autre, passe par parseMessage() :
+ * version, type, sens de circulation et champs sont vérifiés, les champs
+ * inconnus supprimés. Un hub et un participant de versions différentes
+ * (page non rechargée après une mise à jour) ne se comprennent pas :
+ * erreur 'VERSION_MISMATCH'.
+ *
+ * Les messages ci-dessous circulent chiffrés (cf. crypto.js), dans une enveloppe :
+ *   sealed            { iv, data }          dans les deux sens ; data = message chiffré
+ * Seul 'error' peut circuler en clair : le destinataire n'a peut-être pas la bonne clé.
+ *
+ * Messages Participant → Facilitateur :
+ *   participant_join  { pid, name, vote, pin, observer, secret }
+ *                     vote = vote en cours (reconnexion), pin = PIN saisi ou null,
+ *                     observer = true pour suivre la session sans voter,
+ *                     secret = secret reçu dans 'welcome' (reconnexion), null à la première arrivée
+ *   vote_cast         { pid, vote }
+ *   participant_leave { pid }
+ *   resync_request    { pid }               état reçu incomplet (numéro manquant) → state_sync
+ *
+ * Messages Facilitateur → Participant(s) :
+ *   welcome           { secret }            admission ; secret exigé pour reprendre la place (cf. transport.js)
+ *   state_sync        { seq, session, now } vue filtrée par redactSession() ; now = horloge du hub
+ *   state_patch       { seq, ops, now }     changements depuis le message seq - 1 (cf. patch.js)
+ *   host_transfer     { session, now }      session complète, au seul nouveau facilitateur
+ *   session_closed    {}
+ *   error             { code }
+ */
+
+'use strict';
+
+import {CARD_MAX_LENGTH, NAME_MAX_LENGTH, PIN_MAX_LENGTH, STATUS} from './config.js';
+
+/** À incrémenter à chaque changement incompatible des messages */
+export const PROTOCOL_VERSION = 4;
+
+export const MSG = {
+    PARTICIPANT_JOIN: 'participant_join',
+    VOTE_CAST: 'vote_cast',
+    PARTICIPANT_LEAVE: 'participant_leave',
+    RESYNC_REQUEST: 'resync_request',
+    WELCOME: 'welcome',
+    STATE_SYNC: 'state_sync',
+    STATE_PATCH: 'state_patch',
+    HOST_TRANSFER: 'host_transfer',
+    SESSION_CLOSED: 'session_closed',
+    ERROR: 'error',
+    SEALED: 'sealed',
+};
+
+/** Sens de circulation (null : les deux) */
+export const TO_HOST = 'host';
+export const TO_PARTICIPANT = 'participant';
+
+/* ══════════════════════════════════════════════════
+   SCHÉMAS
+   ══════════════════════════════════════════════════ */
+
+const _isPid = v => typeof v === 'string' && /^[\w-]{1,40}$/.test(v);
+const _isName = v => typeof v === 'string' && v.trim().length > 0 && v.length <= NAME_MAX_LENGTH;
+const _isVote = v => v === null || (typeof v === 'string' && v.length > 0 && v.length <= CARD_MAX_LENGTH);
+const _isPin = v => v === null || v === undefined || (typeof v === 'string' && v.length <= PIN_MAX_LENGTH);
+const _isSecret = v => typeof v === 'string' && /^[\w-]{16,64}$/.test(v);
+const _isFlag = v => v === undefined || typeof v === 'boolean';
+const _isTime = v => Number.isFinite(v);
+const _isSeq = v => Number.isInteger(v) && v >= 0;
+const _isOps = v => Array.isArray(v)
+    && v.every(op => op && ['set', 'del', 'trim'].includes(op.op) && Array.isArray(op.path));
+const _isCode = v => typeof v === 'string' && /^[A-Z_]{1,40}$/.test(v);
+const _isBase64 = v => typeof v === 'string' && v.length > 0 && /^[A-Za-z0-9+/]*={0,2}$/.test(v);
+
+/**
+ * Structure minimale d'une session reçue du hub (le contenu fin est affiché échappé).
+ * Sert aussi à vérifier une session reconstituée par state_patch.
+ * @param {*} s
+ * @returns {boolean}
+ */
+export function isSession(s) {
+    return !!s && typeof s === 'object'
+        && typeof s.id === 'string'
+        && Object.values(STATUS).includes(s.status)
+        && typeof s.facilitatorId === 'string'
+        && Array.isArray(s.deck?.cards) && s.deck.cards.every(c => typeof c === 'string')
+        && Array.isArray(s.participants)
+        && s.participants.every(p => p && _isPid(p.id) && typeof p.name === 'string' && _isVote(p.vote))
+        && Array.isArray(s.backlog ?? []) && Array.isArray(s.history ?? []);
+}
+
+/** Type → sens de circulation et validateur de chaque champ */
+const SCHEMAS = {
+    [MSG.PARTICIPANT_JOIN]: {to: TO_HOST, fields: {
+        pid: _isPid, name: _isName, vote: _isVote, pin: _isPin, observer: _isFlag, secret: v => v === null || _isSecret(v),
+    }},
+    [MSG.VOTE_CAST]: {to: TO_HOST, fields: {pid: _isPid, vote: _isVote}},
+    [MSG.PARTICIPANT_LEAVE]: {to: TO_HOST, fields: {pid: _isPid}},
+    [MSG.RESYNC_REQUEST]: {to: TO_HOST, fields: {pid: _isPid}},
+    [MSG.WELCOME]: {to: TO_PARTICIPANT, fields: {secret: _isSecret}},
+    [MSG.STATE_SYNC]: {to: TO_PARTICIPANT, fields: {seq: _isSeq, session: isSession, now: _isTime}},
+    [MSG.STATE_PATCH]: {to: TO_PARTICIPANT, fields: {seq: _isSeq, ops: _isOps, now: _isTime}},
+    [MSG.HOST_TRANSFER]: {to: TO_PARTICIPANT, fields: {session: isSession, now: _isTime}},
+    [MSG.SESSION_CLOSED]: {to: TO_PARTICIPANT, fields: {}},
+    [MSG.ERROR]: {to: TO_PARTICIPANT, fields: {code: _isCode}},
+    [MSG.SEALED]: {to: null, fields: {iv: _isBase64, data: _isBase64}},
+};
+
+/* ══════════════════════════════════════════════════
+   ÉMISSION & RÉCEPTION
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Construit un message versionné.
+ * @param {string} type   - Valeur de MSG
+ * @param {object} [fields]
+ * @returns {object}
+ */
+export function message(type, fields = {}) {
+    return {v: PROTOCOL_VERSION, type, ...fields};
+}
+
+/**
+ * Valide un message reçu.
+ *
+ * @param {*}      raw
+ * @param {string} to  - TO_HOST (reçu par le hub) ou TO_PARTICIPANT
+ * @returns {{ok: true, msg: object} | {ok: false, code: 'VERSION_MISMATCH'|'INVALID_MESSAGE'}}
+ */
+export function parseMessage(raw, to) {
+    if (!raw || typeof raw !== 'object') return {ok: false, code: 'INVALID_MESSAGE'};
+    if (raw.v !== PROTOCOL_VERSION) return {ok: false, code: 'VERSION_MISMATCH'};
+
+    const schema = SCHEMAS[raw.type];
+    if (!schema || (schema.to && schema.to !== to)) return {ok: false, code: 'INVALID_MESSAGE'};
+
+    const msg = {v: raw.v, type: raw.type};
+    for (const [field, valid] of Object.entries(schema.fields)) {
+        if (!valid(raw[field])) return {ok: false, code: 'INVALID_MESSAGE'};
+        msg[field] = raw[field];
+    }
+    return {ok: true, msg};
+}
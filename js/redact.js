@@ -0,0 +1,49 @@
+/**
+ * redact.js — Vue filtrée de la session pour chaque participant (CDC §4.3)
+ *
+ * Le facilitateur (hub) détient les votes réels. Tant que les cartes ne sont
+ * pas révélées, chaque participant ne reçoit que son propre vote ; pour les
+ * autres, seul l'indicateur « a voté » est transmis.
+ *
+ * Le PIN de la session et les secrets de reconnexion des participants
+ * (cf. transport.js) ne quittent jamais le hub.
+ *
+ * Fonctions pures : aucune dépendance au DOM ni au transport.
+ */
+
+'use strict';
+
+import {STATUS} from './config.js';
+
+/**
+ * Construit la vue de la session destinée à un participant.
+ * La session d'origine n'est jamais modifiée.
+ *
+ * @param {import('./config.js').Session} session
+ * @param {string|null} viewerId - ID applicatif du destinataire (null = inconnu)
+ * @returns {import('./config.js').Session}
+ */
+export function redactSession(session, viewerId) {
+    const view = {...session};
+    delete view.pin;
+    const voting = session.status === STATUS.VOTING;
+
+    view.participants = session.participants.map(p => {
+        const copy = {...p};
+        delete copy.secret;
+        if (!voting) return copy;
+        return {...copy, vote: p.id === viewerId ? p.vote : null, hasVoted: p.vote !== null};
+    });
+    return view;
+}
+
+/**
+ * Le participant a-t-il voté ? Fonctionne sur la session complète (hub)
+ * comme sur une vue filtrée par redactSession().
+ *
+ * @param {import('./config.js').Participant} participant
+ * @returns {boolean}
+ */
+export function hasVoted(participant) {
+    return participant.vote !== null || participant.hasVoted === true;
+}
@@ -0,0 +1,154 @@
+/**
+ * relay.js — Transport par relais WebSocket auto-hébergé (cf. transport.js)
+ *
+ * Alternative à PeerJS quand son cloud de signalisation est bloqué ou que les
+ * DataChannels ne s'ouvrent pas (NAT symétrique) : tous les messages passent
+ * par server/relay.mjs, qui peut être hébergé dans l'intranet.
+ *
+ * Une WebSocket par extrémité ; le relais y multiplexe les liens du hub.
+ * Format des trames : cf. en-tête de server/relay.mjs.
+ */
+
+'use strict';
+
+import {RELAY_PATH} from './config.js';
+import {createLink} from './link.js';
+
+/** Relais servi par la même origine que l'application : ws(s)://hôte/relay */
+function _defaultUrl() {
+    const {protocol, host} = window.location;
+    return `${protocol === 'https:' ? 'wss' : 'ws'}://${host}${RELAY_PATH}`;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.url] - URL WebSocket du relais (par défaut : même origine)
+ * @returns {object} Transport (listen, connect, destroy)
+ */
+export function createRelayTransport({url} = {}) {
+    let socket = null;
+    let hosting = null;      // onConnection, quand ce transport est le hub
+    let pending = null;      // réponse attendue : { resolve, reject }
+    const links = new Map(); // id du lien → Link
+
+    function addLink(id) {
+        const link = createLink(id, {
+            send: (payload) => post({kind: 'data', link: id, payload}),
+            close: () => {
+                links.delete(id);
+                post({kind: 'close', link: id});
+            },
+        });
+        links.set(id, link);
+        return link;
+    }
+
+    function post(msg) {
+        if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(msg));
+    }
+
+    function onMessage(msg) {
+        switch (msg.kind) {
+            case 'listening':
+                pending?.resolve();
+                break;
+
+            case 'connected': {
+                const link = addLink(msg.link);
+                link.emit('open');
+                pending?.resolve(link);
+                break;
+            }
+
+            case 'incoming': {
+                if (!hosting) break;
+                const link = addLink(msg.link);
+                hosting(link);
+                link.emit('open');
+                break;
+            }
+
+            case 'data':
+                links.get(msg.link)?.emit('data', msg.payload);
+                break;
+
+            case 'closed': {
+                const link = links.get(msg.link);
+                links.delete(msg.link);
+                link?.emit('close');
+                break;
+            }
+
+            case 'error':
+                pending?.reject({code: msg.code === 'BAD_REQUEST' ? 'PEER_ERROR' : msg.code});
+                break;
+        }
+    }
+
+    /** Ouvre la WebSocket, envoie la requête et attend la réponse du relais */
+    function request(msg) {
+        destroy();
+        return new Promise((resolve, reject) => {
+            pending = {
+                resolve: (value) => {
+                    pending = null;
+                    resolve(value);
+                },
+                reject: (err) => {
+                    pending = null;
+                    destroy();
+                    reject(err);
+                },
+            };
+
+            try {
+                socket = new WebSocket(url || _defaultUrl());
+            } catch (err) {
+                pending.reject({code: 'PEER_ERROR', original: err});
+                return;
+            }
+            socket.onopen = () => post(msg);
+            socket.onmessage = (e) => {
+                try {
+                    onMessage(JSON.parse(e.data));
+                } catch (err) {
+                    console.warn('[relay] message:', err);
+                }
+            };
+            // Relais injoignable ou coupé : l'autre extrémité de chaque lien est perdue
+            socket.onclose = () => {
+                pending?.reject({code: 'PEER_ERROR'});
+                socket = null;
+                const lost = [...links.values()];
+                links.clear();
+                lost.forEach(link => link.emit('close'));
+            };
+        });
+    }
+
+    function destroy() {
+        [...links.values()].forEach(link => link.close());
+        links.clear();
+        hosting = null;
+        if (socket) {
+            socket.onclose = null;
+            socket.close();
+            socket = null;
+        }
+    }
+
+    return {
+        name: 'relay',
+
+        async listen(hostId, onConnection) {
+            await request({kind: 'listen', hostId});
+            hosting = onConnection;
+        },
+
+        connect(hostId) {
+            return request({kind: 'connect', hostId});
+        },
+
+        destroy,
+    };
+}
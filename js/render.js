@@ -8,16 +8,27 @@
  *  renderRoom()           — point d'entrée principal, appelle tout le reste
  *  renderStory()          — affichage de l'item en cours
  *  renderStatus()         — barre de statut + indicateur de vote personnel
- *  renderParticipants()   — liste des participants + statuts de vote
- *  renderCards()          — grille de cartes Fibonacci
+ *  renderTimer()          — compte à rebours du tour en cours
+ *  renderParticipants()   — liste des participants (et observateurs) + statuts de vote
+ *  renderBacklog()        — file des items à estimer + statut de chacun
+ *  renderCards()          — grille de cartes du jeu de la session
  *  renderResults()        — panneau de résultats après révélation
+ *  renderHistory()        — journal des estimations (tours et valeur retenue)
  *  renderFacilitatorControls() — état des boutons facilitateur
+ *  renderArchives()       — écran « Sessions passées » (archives de l'accueil)
+ *  renderVelocity()       — tableau de bord de l'équipe (sessions archivées)
  */
 
 'use strict';
 
-import {FIBONACCI, MAX_PARTICIPANTS, ROLE, STATUS} from './config.js';
-import {esc} from './ui.js';
+import {ITEM_STATUS, ROLE, STATUS} from './config.js';
+import {getDeck, isSpecialCard} from './deck.js';
+import {hasVoted} from './redact.js';
+import {getCurrentEntry} from './history.js';
+import {getSeats, getVoters} from './roster.js';
+import {computeStats} from './stats.js';
+import {getEstimatedEntries} from './export.js';
+import {esc, playEndSound} from './ui.js';
 
 /* ══════════════════════════════════════════════════
    POINT D'ENTRÉE PRINCIPAL
@@ -28,14 +39,18 @@ import {esc} from './ui.js';
  * @param {import('./config.js').Session} session
  * @param {string} myId
  * @param {string} myRole
+ * @param {number} [clockOffset=0] - Décalage d'horloge avec le facilitateur (ms)
  */
-export function renderRoom(session, myId, myRole) {
+export function renderRoom(session, myId, myRole, clockOffset = 0) {
     if (!session) return;
     renderStory(session);
     renderStatus(session, myId);
+    renderTimer(session, clockOffset);
     renderParticipants(session, myId, myRole);
+    renderBacklog(session, myRole);
     renderCards(session, myId, myRole);
-    renderResults(session);
+    renderResults(session, myRole);
+    renderHistory(session);
     renderFacilitatorControls(session, myId, myRole);
 }
 
@@ -100,6 +115,64 @@ export function renderStatus(session, myId) {
     }
 }
 
+/* ══════════════════════════════════════════════════
+   TIMER
+   ══════════════════════════════════════════════════ */
+
+let _countdownTimer = null;
+
+function _formatDuration(ms) {
+    const total = Math.max(Math.ceil(ms / 1000), 0);
+    const min = Math.floor(total / 60);
+    const sec = String(total % 60).padStart(2, '0');
+    return `${min}:${sec}`;
+}
+
+/**
+ * Affiche le compte à rebours dans la barre de statut et le met à jour
+ * chaque quart de seconde. Le son de fin n'est joué que si le décompte
+ * atteint zéro sous les yeux de l'utilisateur.
+ *
+ * @param {import('./config.js').Session} session
+ * @param {number} [clockOffset=0]
+ */
+export function renderTimer(session, clockOffset = 0) {
+    const el = document.getElementById('timer-display');
+    if (!el) return;
+
+    clearInterval(_countdownTimer);
+    _countdownTimer = null;
+
+    const timer = session.status === STATUS.VOTING ? session.timer : null;
+    if (!timer) {
+        el.style.display = 'none';
+        return;
+    }
+    el.style.display = 'block';
+
+    if (!timer.deadline) {
+        el.className = 'timer-display paused';
+        el.textContent = `⏸ ${_formatDuration(timer.remaining)}`;
+        return;
+    }
+
+    el.className = 'timer-display';
+    let running = timer.deadline - (Date.now() + clockOffset) > 0;
+    const tick = () => {
+        const left = timer.deadline - (Date.now() + clockOffset);
+        el.textContent = `⏱ ${_formatDuration(left)}`;
+        el.classList.toggle('urgent', left <= 10000);
+        if (left <= 0) {
+            clearInterval(_countdownTimer);
+            _countdownTimer = null;
+            if (running) playEndSound();
+            running = false;
+        }
+    };
+    tick();
+    if (running) _countdownTimer = setInterval(tick, 250);
+}
+
 /* ══════════════════════════════════════════════════
    LISTE DES PARTICIPANTS (CDC §11)
    ══════════════════════════════════════════════════ */
@@ -108,64 +181,131 @@ export function renderStatus(session, myId) {
  * Met à jour la liste des participants dans la barre latérale.
  * @param {import('./config.js').Session} session
  */
-export function renderParticipants(session) {
+export function renderParticipants(session, myId, myRole) {
     const list = document.getElementById('participants-list');
     const count = document.getElementById('participants-count');
     if (!list || !count) return;
 
-    const nonFac = session.participants.filter(p => !p.isFacilitator);
-    count.textContent = `${nonFac.length} / ${MAX_PARTICIPANTS}`;
+    // Les observateurs n'occupent pas de place
+    const observers = session.participants.filter(p => p.isObserver).length;
+    const {taken, limit} = getSeats(session);
+    count.textContent = `${taken} / ${limit}`
+        + (observers ? ` · ${observers} obs.` : '');
 
     if (!session.participants.length) {
         list.innerHTML = '<div class="empty-state">Aucun participant…</div>';
         return;
     }
 
+    const canTransfer = myRole === ROLE.FACILITATOR;
     list.innerHTML = session.participants.map(p => {
         const initial = esc(p.name[0].toUpperCase());
-        const voteEl = _buildVoteStatusEl(p, session.status);
+        const voteEl = _buildVoteStatusEl(p, session);
 
         return `
-      <div class="participant-item">
+      <div class="participant-item${p.offline ? ' offline' : ''}">
         <div class="participant-avatar">${initial}</div>
         <div style="flex:1;min-width:0">
           <div class="participant-name">${esc(p.name)}</div>
-          <div class="participant-role">${p.isFacilitator ? 'facilitateur' : 'participant'}</div>
+          <div class="participant-role">${_roleLabel(p)}</div>
         </div>
         ${voteEl}
+        ${canTransfer && !p.isFacilitator && !p.isObserver
+            ? `<button class="transfer-host" data-transfer="${esc(p.id)}" title="Transmettre le rôle de facilitateur">⇄</button>`
+            : ''}
       </div>`;
     }).join('');
 }
 
+function _roleLabel(participant) {
+    if (participant.isFacilitator) return 'facilitateur';
+    if (participant.offline) return 'hors ligne…';
+    return participant.isObserver ? 'observateur' : 'participant';
+}
+
 /**
  * Construit le badge de statut de vote d'un participant.
  * @param {import('./config.js').Participant} participant
- * @param {string} status
+ * @param {import('./config.js').Session} session
  * @returns {string} HTML
  */
-function _buildVoteStatusEl(participant, status) {
-    if (participant.isFacilitator) {
+function _buildVoteStatusEl(participant, {status, facilitatorVotes}) {
+    if (participant.isFacilitator && !facilitatorVotes) {
         return `<div class="vote-status not-voted" style="opacity:.3" title="Le facilitateur ne vote pas">F</div>`;
     }
+    if (participant.isObserver) {
+        return `<div class="vote-status not-voted" style="opacity:.3" title="Observateur : ne vote pas">👁</div>`;
+    }
 
     if (status === STATUS.REVEALED) {
         const val = participant.vote !== null ? esc(participant.vote) : '–';
         return `<div class="vote-status revealed" title="Vote révélé">${val}</div>`;
     }
 
-    if (participant.vote !== null) {
+    if (hasVoted(participant)) {
         return `<div class="vote-status voted" title="A voté">✓</div>`;
     }
 
     return `<div class="vote-status not-voted" title="N'a pas encore voté">?</div>`;
 }
 
+/* ══════════════════════════════════════════════════
+   BACKLOG
+   ══════════════════════════════════════════════════ */
+
+const ITEM_STATUS_LABELS = {
+    [ITEM_STATUS.PENDING]: ['○', 'En attente'],
+    [ITEM_STATUS.IN_PROGRESS]: ['▶', 'En cours'],
+    [ITEM_STATUS.ESTIMATED]: ['✓', 'Estimé'],
+};
+
+/**
+ * Met à jour la file des items dans la barre latérale.
+ * Le formulaire d'ajout et les boutons de retrait sont réservés au facilitateur.
+ *
+ * @param {import('./config.js').Session} session
+ * @param {string} myRole
+ */
+export function renderBacklog(session, myRole) {
+    const list = document.getElementById('backlog-list');
+    const count = document.getElementById('backlog-count');
+    if (!list || !count) return;
+
+    const isFacilitator = myRole === ROLE.FACILITATOR;
+    const backlog = session.backlog ?? [];
+    const done = backlog.filter(i => i.status === ITEM_STATUS.ESTIMATED).length;
+    count.textContent = `${done} / ${backlog.length}`;
+
+    const form = document.getElementById('backlog-form');
+    if (form) form.style.display = isFacilitator ? 'flex' : 'none';
+
+    if (!backlog.length) {
+        list.innerHTML = '<div class="empty-state">Backlog vide…</div>';
+        return;
+    }
+
+    list.innerHTML = backlog.map(item => {
+        const [icon, label] = ITEM_STATUS_LABELS[item.status] ?? ITEM_STATUS_LABELS[ITEM_STATUS.PENDING];
+        const removeBtn = isFacilitator
+            ? `<button class="backlog-remove" data-id="${esc(item.id)}" title="Retirer du backlog">×</button>`
+            : '';
+
+        return `
+      <div class="backlog-item ${esc(item.status)}">
+        <div class="backlog-status ${esc(item.status)}" title="${label}">${icon}</div>
+        <div class="backlog-title" title="${esc(item.title)}">${esc(item.title)}</div>
+        ${removeBtn}
+      </div>`;
+    }).join('');
+}
+
 /* ══════════════════════════════════════════════════
    CARTES DE VOTE (CDC §4.2 & §11)
    ══════════════════════════════════════════════════ */
 
 /**
- * Rend la grille de cartes Fibonacci pour le participant.
+ * Rend la grille de cartes du jeu de la session pour le participant.
+ * Un observateur n'a pas de grille : il suit le vote et les résultats.
  * @param {import('./config.js').Session} session
  * @param {string} myId
  * @param {string} myRole
@@ -175,19 +315,26 @@ export function renderCards(session, myId, myRole) {
     const hint = document.getElementById('waiting-hint');
     if (!grid) return;
 
+    const observer = myRole === ROLE.OBSERVER;
+    const title = document.getElementById('cards-title');
+    if (title) title.textContent = observer ? 'VOUS OBSERVEZ LA SESSION SANS VOTER' : 'CHOISISSEZ VOTRE CARTE';
+    grid.style.display = observer ? 'none' : '';
+
     const me = session.participants.find(p => p.id === myId);
-    const disabled = session.status !== STATUS.VOTING || myRole === ROLE.FACILITATOR;
+    const canVote = !!me && getVoters(session).includes(me);
+    const disabled = session.status !== STATUS.VOTING || !canVote;
 
-    grid.innerHTML = FIBONACCI.map(value => {
+    grid.innerHTML = getDeck(session).cards.map(value => {
         const isSelected = me && me.vote === value;
         const classes = [
             'vote-card',
             isSelected ? 'selected' : '',
             disabled ? 'disabled' : '',
+            value.length > 3 ? 'long' : '',
         ].filter(Boolean).join(' ');
 
         // onclick="castVote(n)" est géré dans app.js via délégation d'événements
-        return `<div class="${classes}" data-value="${value}">${value}</div>`;
+        return `<div class="${classes}" data-value="${esc(value)}">${esc(value)}</div>`;
     }).join('');
 
     // Indicateur "en attente de révélation"
@@ -205,11 +352,18 @@ export function renderCards(session, myId, myRole) {
 
 /**
  * Affiche ou masque le panneau de résultats après révélation.
- * Calcule et affiche : moyenne, min, max, consensus.
+ * Calcule et affiche : consensus ou quasi-consensus (règle de la session),
+ * médiane, mode, moyenne et carte la plus proche, min, max, écart,
+ * répartition des votes. Les auteurs des votes extrêmes sont signalés.
+ *
+ * Min / max / médiane / écart s'appuient sur l'ordre du jeu (valable pour les
+ * tailles de T-shirt). La moyenne n'est affichée que si toutes les cartes
+ * retenues ont une valeur numérique. '?' et '☕' sont exclues des calculs.
  *
  * @param {import('./config.js').Session} session
+ * @param {string} myRole
  */
-export function renderResults(session) {
+export function renderResults(session, myRole) {
     const panel = document.getElementById('results-panel');
     if (!panel) return;
 
@@ -219,65 +373,186 @@ export function renderResults(session) {
     }
     panel.style.display = 'block';
 
-    const voters = session.participants.filter(p => !p.isFacilitator && p.vote !== null);
-
-    if (!voters.length) {
-        panel.innerHTML = `
-      <div class="results-title">◆ RÉSULTATS DU VOTE</div>
-      <div class="empty-state">Aucun vote enregistré.</div>`;
-        return;
-    }
+    const voters = getVoters(session).filter(p => p.vote !== null);
+    const empty = document.getElementById('results-empty');
+    if (empty) empty.style.display = voters.length ? 'none' : 'block';
 
     // ── Calcul des statistiques ──
-    const values = voters.map(p => p.vote);
-    const average = (values.reduce((a, b) => a + b, 0) / values.length).toFixed(1);
-    const minVal = Math.min(...values);
-    const maxVal = Math.max(...values);
-    const consensus = values.every(v => v === values[0]);
+    const deck = getDeck(session);
+    const stats = computeStats(voters.map(p => p.vote), deck, session.consensusRule);
+    const {min: minVal, max: maxVal} = stats;
 
     // ── Consensus ──
     const cb = document.getElementById('consensus-banner');
     if (cb) {
-        cb.style.display = consensus ? 'block' : 'none';
-        if (consensus) cb.textContent = `✦ CONSENSUS ATTEINT — Valeur : ${values[0]}`;
+        cb.style.display = stats.consensus || stats.nearConsensus ? 'block' : 'none';
+        cb.classList.toggle('near', stats.nearConsensus);
+        if (stats.consensus) cb.textContent = `✦ CONSENSUS ATTEINT — Valeur : ${stats.values[0]}`;
+        if (stats.nearConsensus) cb.textContent = `≈ QUASI-CONSENSUS — Valeur proposée : ${stats.mode ?? stats.median}`;
     }
 
     // ── Stats boxes ──
     const sg = document.getElementById('stats-grid');
     if (sg) {
-        sg.innerHTML = `
+        sg.innerHTML = !voters.length ? '' : `
       <div class="stat-box">
-        <div class="stat-val">${average}</div>
-        <div class="stat-label">Moyenne</div>
+        <div class="stat-val">${stats.median !== null ? esc(stats.median) : '–'}</div>
+        <div class="stat-label">Médiane</div>
       </div>
       <div class="stat-box">
-        <div class="stat-val">${minVal}</div>
+        <div class="stat-val">${stats.mode !== null ? esc(stats.mode) : '–'}</div>
+        <div class="stat-label">Mode</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-val">${stats.average ?? '–'}</div>
+        <div class="stat-label">Moyenne${stats.nearestCard !== null ? ` ≈ ${esc(stats.nearestCard)}` : ''}</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-val">${minVal !== null ? esc(minVal) : '–'}</div>
         <div class="stat-label">Minimum</div>
       </div>
       <div class="stat-box">
-        <div class="stat-val">${maxVal}</div>
+        <div class="stat-val">${maxVal !== null ? esc(maxVal) : '–'}</div>
         <div class="stat-label">Maximum</div>
-      </div>`;
+      </div>
+      <div class="stat-box">
+        <div class="stat-val">${stats.spread ?? '–'}</div>
+        <div class="stat-label">Écart (cartes)</div>
+      </div>${stats.abstentions ? `
+      <div class="stat-box">
+        <div class="stat-val">${stats.abstentions}</div>
+        <div class="stat-label">? / ☕</div>
+      </div>` : ''}`;
+    }
+
+    // ── Répartition des votes ──
+    const vd = document.getElementById('vote-distribution');
+    if (vd) {
+        const top = Math.max(0, ...stats.distribution.map(d => d.count));
+        vd.innerHTML = stats.distribution.map(({value, count}) => `
+      <div class="dist-row">
+        <span class="dist-card">${esc(value)}</span>
+        <span class="dist-bar"><span class="dist-fill${isSpecialCard(value) ? ' special' : ''}"
+              style="width:${Math.round(count / top * 100)}%"></span></span>
+        <span class="dist-count">${count}</span>
+      </div>`).join('');
     }
 
     // ── Cartes retournées ──
+    // Les auteurs des votes extrêmes sont invités à expliquer leur choix
     const rv = document.getElementById('revealed-votes');
     if (rv) {
         rv.innerHTML = voters.map((p, i) => {
             let colorClass = 'mid';
-            if (maxVal !== minVal) {
+            if (isSpecialCard(p.vote)) {
+                colorClass = 'special';
+            } else if (maxVal !== minVal) {
                 if (p.vote === maxVal) colorClass = 'high';
                 if (p.vote === minVal) colorClass = 'low';
             }
+            const outlier = colorClass === 'high' || colorClass === 'low';
             const delay = i * 80;
             return `
         <div class="revealed-card">
           <div class="revealed-card-val ${colorClass}"
                style="animation-delay:${delay}ms">${esc(p.vote)}</div>
-          <div class="revealed-card-name" title="${esc(p.name)}">${esc(p.name)}</div>
+          <div class="revealed-card-name" title="${esc(p.name)}">${esc(p.name)}</div>${outlier ? `
+          <div class="revealed-card-flag ${colorClass}">${colorClass === 'high' ? '▲' : '▼'} à expliquer</div>` : ''}
         </div>`;
         }).join('');
     }
+
+    _renderEstimateControls(session, myRole, stats);
+}
+
+/**
+ * Zone de validation de l'estimation finale (facilitateur uniquement).
+ * @param {import('./config.js').Session} session
+ * @param {string} myRole
+ * @param {import('./stats.js').VoteStats} stats
+ */
+function _renderEstimateControls(session, myRole, stats) {
+    const box = document.getElementById('estimate-controls');
+    if (!box) return;
+
+    const committed = getCurrentEntry(session)?.estimate ?? null;
+    const status = document.getElementById('estimate-status');
+    if (status) {
+        status.style.display = committed !== null ? 'block' : 'none';
+        status.textContent = committed !== null ? `✓ Estimation retenue : ${committed}` : '';
+    }
+
+    if (myRole !== ROLE.FACILITATOR) {
+        box.style.display = 'none';
+        return;
+    }
+    box.style.display = 'flex';
+
+    const btnConsensus = document.getElementById('btn-commit-consensus');
+    const btnMedian = document.getElementById('btn-commit-median');
+    const btnOverride = document.getElementById('btn-commit-override');
+    const locked = committed !== null;
+    if (btnConsensus) btnConsensus.disabled = locked || !stats.consensus;
+    if (btnOverride) btnOverride.disabled = locked;
+    if (btnMedian) {
+        btnMedian.disabled = locked || stats.median === null;
+        btnMedian.textContent = stats.median !== null ? `Médiane (${stats.median})` : 'Médiane';
+    }
+
+    const sel = document.getElementById('estimate-override');
+    if (sel) {
+        const cards = getDeck(session).cards.filter(c => !isSpecialCard(c));
+        const key = cards.join('|');
+        if (sel.dataset.deck !== key) {
+            sel.innerHTML = cards.map(c => `<option value="${esc(c)}">${esc(c)}</option>`).join('');
+            sel.dataset.deck = key;
+        }
+    }
+}
+
+/* ══════════════════════════════════════════════════
+   JOURNAL DES ESTIMATIONS
+   ══════════════════════════════════════════════════ */
+
+const METHOD_LABELS = {
+    consensus: 'consensus',
+    median: 'médiane',
+    override: 'choix du facilitateur',
+};
+
+/**
+ * Affiche l'historique des items estimés : estimation retenue et votes de chaque tour.
+ * @param {import('./config.js').Session} session
+ */
+export function renderHistory(session) {
+    const panel = document.getElementById('history-panel');
+    const list = document.getElementById('history-list');
+    if (!panel || !list) return;
+
+    const history = session.history ?? [];
+    panel.style.display = history.length ? 'block' : 'none';
+    if (!history.length) return;
+
+    list.innerHTML = history.slice().reverse().map(entry => {
+        const estimate = entry.estimate !== null
+            ? `<div class="history-estimate" title="Retenue par ${METHOD_LABELS[entry.method] ?? '—'}">${esc(entry.estimate)}</div>`
+            : `<div class="history-estimate pending" title="Estimation non validée">…</div>`;
+
+        const rounds = entry.rounds.map((r, i) => {
+            const time = new Date(r.revealedAt).toLocaleTimeString('fr-FR', {hour: '2-digit', minute: '2-digit'});
+            const votes = r.votes.map(v => `${esc(v.name)} : <strong>${esc(v.vote ?? '–')}</strong>`).join(' · ');
+            return `<div class="history-round">Tour ${i + 1} — ${time} — ${votes || 'aucun vote'}</div>`;
+        }).join('');
+
+        return `
+      <div class="history-entry">
+        <div class="history-head">
+          <div class="history-title" title="${esc(entry.title)}">${esc(entry.title || 'Item sans titre')}</div>
+          ${estimate}
+        </div>
+        ${rounds}
+      </div>`;
+    }).join('');
 }
 
 /* ══════════════════════════════════════════════════
@@ -295,28 +570,169 @@ export function renderFacilitatorControls(session, myId, myRole) {
     const participantEl = document.getElementById('participant-controls');
     if (!facilitatorEl || !participantEl) return;
 
+    const leaveEl = document.getElementById('leave-controls');
     if (myRole !== ROLE.FACILITATOR) {
         facilitatorEl.style.display = 'none';
         participantEl.style.display = 'block';
+        if (leaveEl) leaveEl.style.display = 'block';
         return;
     }
 
+    // Facilitateur votant : grille de cartes sous les contrôles (pas de bouton « Quitter »)
     facilitatorEl.style.display = 'block';
-    participantEl.style.display = 'none';
+    participantEl.style.display = session.facilitatorVotes ? 'block' : 'none';
+    if (leaveEl) leaveEl.style.display = 'none';
 
-    const nonFac = session.participants.filter(p => !p.isFacilitator);
-    const allVoted = nonFac.length > 0 && nonFac.every(p => p.vote !== null);
+    const voters = getVoters(session);
+    const allVoted = voters.length > 0 && voters.every(p => p.vote !== null);
 
     const btnLaunch = document.getElementById('btn-launch');
     const btnReveal = document.getElementById('btn-reveal');
     const btnNewRnd = document.getElementById('btn-newround');
+    const btnNext = document.getElementById('btn-next-item');
+    const btnExtend = document.getElementById('btn-timer-extend');
+    const btnPause = document.getElementById('btn-timer-toggle');
 
     if (btnLaunch) btnLaunch.disabled = session.status === STATUS.VOTING;
-    if (btnReveal) btnReveal.disabled = session.status !== STATUS.VOTING || nonFac.length === 0;
+    if (btnReveal) btnReveal.disabled = session.status !== STATUS.VOTING || voters.length === 0;
     if (btnNewRnd) btnNewRnd.disabled = session.status !== STATUS.REVEALED;
+    const timerRunning = session.status === STATUS.VOTING && !!session.timer;
+    if (btnExtend) btnExtend.disabled = !timerRunning;
+    if (btnPause) {
+        btnPause.disabled = !timerRunning;
+        btnPause.textContent = timerRunning && !session.timer.deadline ? 'Reprendre' : 'Pause';
+    }
+    if (btnNext) {
+        btnNext.disabled = session.status === STATUS.VOTING
+            || !(session.backlog ?? []).some(i => i.status === ITEM_STATUS.PENDING);
+    }
+
+    const nothingToExport = !getEstimatedEntries(session).length;
+    document.querySelectorAll('[data-export]').forEach(btn => {
+        btn.disabled = nothingToExport;
+    });
+    const btnWriteback = document.getElementById('btn-writeback');
+    if (btnWriteback) btnWriteback.disabled = nothingToExport;
 
     // Débloquer "Révéler" dès que tous les participants ont voté
     if (btnReveal && allVoted && session.status === STATUS.VOTING) {
         btnReveal.disabled = false;
     }
 }
+
+/* ══════════════════════════════════════════════════
+   SESSIONS PASSÉES (accueil)
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Liste des sessions archivées, la plus récente en premier.
+ * Chaque archive se déplie sur ses items (estimation retenue, nombre de tours).
+ *
+ * @param {import('./archive.js').ArchivedSession[]} archives - Archives à afficher (après recherche)
+ * @param {number} total - Nombre total d'archives
+ */
+export function renderArchives(archives, total) {
+    const list = document.getElementById('archive-list');
+    const empty = document.getElementById('archive-empty');
+    if (!list) return;
+
+    if (empty) {
+        empty.style.display = archives.length ? 'none' : 'block';
+        empty.textContent = total ? 'Aucune session ne correspond à la recherche.' : 'Aucune session archivée.';
+    }
+
+    list.innerHTML = archives.map(a => {
+        const s = a.session;
+        const date = new Date(s.createdAt).toLocaleDateString('fr-FR', {day: 'numeric', month: 'short', year: 'numeric'});
+        const estimated = getEstimatedEntries(s).length;
+        const items = (s.history ?? []).map(entry => `
+          <div class="history-head">
+            <div class="history-title" title="${esc(entry.title)}">${esc(entry.title || 'Item sans titre')}</div>
+            <div class="history-estimate${entry.estimate === null ? ' pending' : ''}"
+                 title="${entry.rounds.length} tour(s)">${entry.estimate !== null ? esc(entry.estimate) : '…'}</div>
+          </div>`).join('');
+
+        return `
+      <details class="archive-item history-entry">
+        <summary class="archive-summary">
+          <span class="archive-date">${esc(date)}</span>
+          <span class="archive-code">${esc(s.id)}</span>
+          <span class="archive-meta">${esc(s.facilitatorName)} · ${estimated} item(s) estimé(s)</span>
+        </summary>
+        <div class="history-round">Participants : ${a.participants.map(esc).join(', ') || '—'}</div>
+        ${items}
+        <div class="export-actions archive-actions">
+          <button class="btn btn-secondary btn-sm" data-archive-export="csv" data-id="${esc(a.id)}"${estimated ? '' : ' disabled'}>CSV</button>
+          <button class="btn btn-secondary btn-sm" data-archive-export="json" data-id="${esc(a.id)}"${estimated ? '' : ' disabled'}>JSON</button>
+          <button class="btn btn-secondary btn-sm" data-archive-export="md" data-id="${esc(a.id)}"${estimated ? '' : ' disabled'}>Markdown</button>
+          <button class="btn btn-danger btn-sm" data-archive-delete="${esc(a.id)}">Supprimer</button>
+        </div>
+      </details>`;
+    }).join('');
+}
+
+/* ══════════════════════════════════════════════════
+   TABLEAU DE BORD DE L'ÉQUIPE
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Indicateurs et graphiques (barres en CSS) calculés par computeVelocity().
+ * @param {import('./velocity.js').Velocity} velocity
+ */
+export function renderVelocity(velocity) {
+    const empty = document.getElementById('velocity-empty');
+    if (empty) empty.style.display = velocity.items ? 'none' : 'block';
+
+    const kpis = document.getElementById('velocity-kpis');
+    if (kpis) {
+        const pct = velocity.firstRoundConsensus;
+        kpis.innerHTML = !velocity.items ? '' : `
+      <div class="stat-box">
+        <div class="stat-val">${velocity.sessions.length}</div>
+        <div class="stat-label">Sessions</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-val">${velocity.items}</div>
+        <div class="stat-label">Items estimés</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-val">${Math.round(pct * 100)} %</div>
+        <div class="stat-label">Consensus au 1er tour</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-val">${velocity.averageRounds.toFixed(1)}</div>
+        <div class="stat-label">Tours par item</div>
+      </div>`;
+    }
+
+    // ── Points estimés par session : barres à l'échelle des points seuls, items comptés à part ──
+    const chart = document.getElementById('velocity-sessions');
+    if (chart) {
+        const top = Math.max(0, ...velocity.sessions.map(s => s.points ?? 0));
+        chart.innerHTML = !velocity.items ? '' : velocity.sessions.map(s => {
+            const width = s.points !== null && top ? Math.round(s.points / top * 100) : 0;
+            const date = new Date(s.createdAt).toLocaleDateString('fr-FR', {day: 'numeric', month: 'short'});
+            return `
+      <div class="dist-row velocity-row"${s.points === null ? ' title="Aucune estimation numérique (jeu non numérique)"' : ''}>
+        <span class="velocity-label" title="${esc(s.code)}">${esc(date)}</span>
+        <span class="dist-bar"><span class="dist-fill" style="width:${width}%"></span></span>
+        <span class="dist-count">${s.points !== null ? `${s.points} pts` : '— pts'} · ${s.items} items</span>
+      </div>`;
+        }).join('');
+    }
+
+    // ── Écart de chacun à l'estimation retenue (premier tour) ──
+    const people = document.getElementById('velocity-people');
+    if (people) {
+        const top = Math.max(1, ...velocity.people.map(p => p.deviation));
+        people.innerHTML = velocity.people.map(p => {
+            const trend = Math.abs(p.bias) < 0.25 ? '' : p.bias > 0 ? ' ▲ surestime' : ' ▼ sous-estime';
+            return `
+      <div class="dist-row velocity-row" title="${p.votes} vote(s)">
+        <span class="velocity-label">${esc(p.name)}</span>
+        <span class="dist-bar"><span class="dist-fill" style="width:${Math.round(p.deviation / top * 100)}%"></span></span>
+        <span class="dist-count velocity-deviation">${p.deviation.toFixed(1)}${trend}</span>
+      </div>`;
+        }).join('');
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * roster.js — Composition d'une session : places occupées et votants
+ *
+ * Fonctions pures : elles ne lisent que la liste des participants et les
+ * options de la session. Utilisées par transport.js (admission, votes reçus),
+ * session.js et render.js.
+ */
+
+'use strict';
+
+import {MAX_PARTICIPANTS} from './config.js';
+
+/**
+ * Places de participants : occupées (hors facilitateur et observateurs) et nombre maximum.
+ * @param {import('./config.js').Session} session
+ * @returns {{taken: number, limit: number}}
+ */
+export function getSeats(session) {
+    return {
+        taken: session.participants.filter(p => !p.isFacilitator && !p.isObserver).length,
+        limit: session.maxParticipants ?? MAX_PARTICIPANTS,
+    };
+}
+
+/**
+ * Participants dont le vote compte dans les statistiques :
+ * ni les observateurs, ni le facilitateur, sauf s'il vote (session.facilitatorVotes).
+ * @param {import('./config.js').Session} session
+ * @returns {import('./config.js').Participant[]}
+ */
+export function getVoters(session) {
+    return session.participants.filter(p => !p.isObserver && (!p.isFacilitator || !!session.facilitatorVotes));
+}
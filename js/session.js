@@ -1,49 +1,44 @@
 /**
  * session.js — Cycle de vie des sessions (CDC §5)
  *
- * Logique métier pure. Transport délégué à webrtc.js.
+ * Logique métier pure. Transport délégué à transport.js.
  *
- * Différence clé vs. version BroadcastChannel :
- *   ✗ loadSession() pour vérifier l'existence (localStorage = même navigateur)
- *   ✓ joinAsParticipant() tente une connexion WebRTC P2P
- *      → 'peer-unavailable' si le code est invalide (cross-navigateur)
+ * L'existence d'une session n'est pas vérifiée dans le stockage local :
+ *   joinHost() tente de se connecter au hub via le transport actif
+ *      → 'SESSION_NOT_FOUND' si le code est invalide
  *
- *   createSession() et joinSession() sont async (handshake WebRTC).
+ *   createSession() et joinSession() sont async (ouverture du transport).
  *   Les actions en salle (launchVote, castVote…) restent synchrones
- *   car l'envoi sur un DataChannel ouvert est immédiat.
+ *   car l'envoi sur une connexion ouverte est immédiat.
  */
 
 'use strict';
 
-import {ROLE, STATUS} from './config.js';
-import {clearMe, deleteSession, loadSession, saveMe, saveSession} from './storage.js';
 import {
-    broadcastClose,
-    broadcastState,
-    createFacilitatorPeer,
-    disconnectWebRTC,
-    initWebRTC,
-    joinAsParticipant,
-    sendToFacilitator,
-} from './webrtc.js';
-
-/* ══════════════════════════════════════════════════
-   ÉTAT GLOBAL (singleton)
-   ══════════════════════════════════════════════════ */
-
-export const state = {
-    myId: null,
-    myName: '',
-    myRole: '',
-    sessionId: null,
-    session: null,
+    BACKLOG_MAX_ITEMS,
+    DEFAULT_CONSENSUS_RULE,
+    HOST_TAKEOVER_STAGGER_MS,
+    HOST_TRANSFER_FLUSH_MS,
+    ITEM_STATUS,
+    MAX_PARTICIPANTS,
+    PARTICIPANT_GRACE_MS,
+    RECONNECT_BACKOFF_MS,
+    ROLE,
+    STATUS,
+    TIMER_MAX_SECONDS,
+} from './config.js';
+import {archiveSession} from './archive.js';
+import {createKey, isKey} from './crypto.js';
+import {buildDeck, getDeck, isSpecialCard, isValidCard} from './deck.js';
+import {getOpenEntry} from './history.js';
+import {itemTitle} from './import.js';
+import {getVoters} from './roster.js';
+import {computeStats} from './stats.js';
+import {message, MSG} from './protocol.js';
+import {clearMe, deleteSession, loadSession, saveMe, saveSession} from './storage.js';
+import {createEndpoint, pageEndpoint} from './transport.js';
 
-    // Callbacks UI — injectés par app.js, utilisés par webrtc.js
-    onParticipantJoin: null,
-    onParticipantLeave: null,
-    onSessionClosed: null,
-    onError: null,
-};
+const _sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
 /* ══════════════════════════════════════════════════
    GÉNÉRATEURS
@@ -57,7 +52,8 @@ function _genSessionId(len = 4) {
     ).join('');
 }
 
-function _genParticipantId() {
+/** ID de participant, d'entrée d'historique ou d'item du backlog */
+function _genId() {
     return Math.random().toString(36).slice(2, 10);
 }
 
@@ -75,270 +71,895 @@ export function setUrlSessionId(id) {
     history.replaceState({}, '', url.toString());
 }
 
+/** Clé de chiffrement du lien d'invitation (fragment #key=…, jamais envoyé aux serveurs) */
+export function getUrlKey() {
+    return new URLSearchParams(window.location.hash.slice(1)).get('key');
+}
+
 export function clearUrlSessionId() {
     const url = new URL(window.location.href);
     url.searchParams.delete('session');
+    url.hash = '';
     history.replaceState({}, '', url.toString());
 }
 
-export function buildInviteUrl() {
-    const url = new URL(window.location.href);
-    url.searchParams.set('session', state.sessionId);
-    return url.toString();
-}
-
 /* ══════════════════════════════════════════════════
-   CRÉATION DE SESSION (CDC §5.1)
+   CLIENT DE SESSION
    ══════════════════════════════════════════════════ */
 
 /**
- * Crée une session et en devient le facilitateur.
- * Génère un nouveau code si le Peer ID est déjà pris (collision rare).
+ * Client de session : facilitateur, participant ou observateur, avec son
+ * propre état et son propre point de terminaison du protocole (cf. transport.js).
+ * La page n'en utilise qu'un (exports ci-dessous) ; les tests en créent
+ * plusieurs dans le même contexte, reliés par le transport 'memory'.
  *
- * @param {string}   name
- * @param {string}   item
- * @param {Function} onReady
- * @param {Function} onRender
- * @returns {Promise<boolean>}
+ * @param {object} [endpoint] - Point de terminaison (cf. createEndpoint()), nouveau par défaut
+ * @returns {object} { state, createSession, joinSession, … } : les exports de ce module
  */
-export async function createSession(name, item = '', onReady, onRender) {
-    if (!name) return false;
+export function createSessionClient(endpoint = createEndpoint()) {
+    const {
+        broadcastClose,
+        broadcastState,
+        createHost,
+        closeTransport,
+        flushTransport,
+        initTransport,
+        joinHost,
+        sendToHost,
+        sendToParticipant,
+    } = endpoint;
+
+    /* ══════════════════════════════════════════════════
+       ÉTAT DE SESSION
+       ══════════════════════════════════════════════════ */
+
+    const state = {
+        myId: null,
+        myName: '',
+        myRole: '',
+        sessionId: null,
+        session: null,
+
+        // PIN de la session (saisi ou choisi) — renvoyé à chaque reconnexion, conservé en cas de reprise du hub
+        pin: null,
+
+        // Clé de chiffrement de bout en bout (cf. crypto.js) — jamais envoyée sur le réseau
+        key: null,
+
+        // Secret remis par le hub à l'admission — seul moyen de reprendre sa place (cf. transport.js)
+        secret: null,
+
+        // Décalage entre l'horloge du facilitateur et la nôtre (ms) — cf. timer
+        clockOffset: 0,
+
+        // Callbacks UI — injectés par app.js, utilisés par transport.js et session.js
+        onParticipantJoin: null,
+        onParticipantLeave: null,
+        onSessionClosed: null,
+        onError: null,
+        onStorageError: null,   // (code) 'QUOTA_EXCEEDED' | 'STORAGE_UNAVAILABLE' : la session ne survivra pas à un F5
+        onRoleChange: null,
+        onReconnecting: null,
+        onReconnected: null,
+
+        // Événements du facilitateur — injectés par embed.js (API d'intégration)
+        onVoteLaunched: null,       // (session)
+        onVotesRevealed: null,      // (session, entry) entrée d'historique du tour révélé
+        onEstimateCommitted: null,  // (session, entry)
+        onSessionEnded: null,       // (session) clôture par le facilitateur
+
+        // Hooks métier — appelés par transport.js
+        onVoteCast: () => _autoRevealIfAllVoted(),
+        onHostLost: () => _recoverHost(),
+        onHostTransfer: (session) => _acceptHostTransfer(session),
+        onAdmitted: (secret) => {
+            state.secret = secret;
+            _saveIdentity();
+        },
+        onProtocolError: (code) => _abandonSession(code),
+    };
+
+    /** Facilitateur : échéance du timer en cours */
+    let _timerHandle = null;
+
+    /** Participant : reconnexion / reprise du hub en cours */
+    let _recovering = false;
+
+    function _saveIdentity() {
+        saveMe({
+            myId: state.myId,
+            myName: state.myName,
+            myRole: state.myRole,
+            sessionId: state.sessionId,
+            pin: state.pin,
+            key: state.key,
+            secret: state.secret,
+        });
+    }
+
+    function buildInviteUrl() {
+        const url = new URL(window.location.href);
+        url.searchParams.set('session', state.sessionId);
+        url.hash = new URLSearchParams({key: state.key}).toString();
+        return url.toString();
+    }
+
+    /* ══════════════════════════════════════════════════
+       CRÉATION DE SESSION (CDC §5.1)
+       ══════════════════════════════════════════════════ */
+
+    /**
+     * Crée une session et en devient le facilitateur.
+     * Génère un nouveau code si l'identifiant du hub est déjà pris (collision rare).
+     *
+     * @param {string}   name
+     * @param {string}   item
+     * @param {Function} onReady
+     * @param {Function} onRender
+     * @param {object}   [options]
+     * @param {import('./config.js').Deck} [options.deck] - Jeu de cartes (Fibonacci par défaut)
+     * @param {string} [options.pin] - PIN exigé des participants (cf. PIN_MIN_LENGTH), aucun par défaut
+     * @param {boolean} [options.facilitatorVotes] - Le facilitateur vote aussi (petites équipes)
+     * @param {number}  [options.maxParticipants] - Places de participants (MAX_PARTICIPANTS par défaut)
+     * @param {import('./config.js').ConsensusRule} [options.consensusRule] - Quasi-consensus (DEFAULT_CONSENSUS_RULE par défaut)
+     * @returns {Promise<boolean>}
+     */
+    async function createSession(name, item = '', onReady, onRender, options = {}) {
+        if (!name) return false;
+
+        initTransport(state, onRender);
+
+        // Tenter jusqu'à 5 codes différents en cas de collision
+        let sessionId;
+        for (let i = 0; i < 5; i++) {
+            sessionId = _genSessionId(4);
+            try {
+                await createHost(sessionId);
+                break; // succès
+            } catch (e) {
+                if (e.code === 'ID_TAKEN' && i < 4) continue;
+                console.error('[session] createHost:', e);
+                return false;
+            }
+        }
 
-    initWebRTC(state, onRender);
+        state.myId = _genId();
+        state.myName = name;
+        state.myRole = ROLE.FACILITATOR;
+        state.sessionId = sessionId;
+        state.pin = options.pin || null;
+        state.key = createKey();
+        state.secret = null;
+
+        state.session = {
+            id: sessionId,
+            facilitatorId: state.myId,
+            facilitatorName: name,
+            status: STATUS.WAITING,
+            currentItem: item,
+            deck: options.deck ?? buildDeck(),
+            backlog: [],
+            currentItemId: null,
+            history: [],
+            roundStartedAt: null,
+            timer: null,
+            autoRevealAllVoted: false,
+            facilitatorVotes: !!options.facilitatorVotes,
+            maxParticipants: options.maxParticipants ?? MAX_PARTICIPANTS,
+            consensusRule: options.consensusRule ?? DEFAULT_CONSENSUS_RULE,
+            participants: [{id: state.myId, name, vote: null, isFacilitator: true}],
+            createdAt: Date.now(),
+            pin: state.pin,
+        };
+
+        const saved = await saveSession(state.session);
+        if (!saved.success) state.onStorageError?.(saved.error);
+        _saveIdentity();
+        setUrlSessionId(sessionId);
+        onReady?.();
+        return true;
+    }
+
+    /* ══════════════════════════════════════════════════
+       REJOINDRE UNE SESSION (CDC §5.2)
+       ══════════════════════════════════════════════════ */
+
+    /**
+     * Rejoint une session en tant que participant.
+     *
+     * Flux :
+     *  1. Connexion au hub du facilitateur (ID = 'pps-CODE')
+     *     → 'SESSION_NOT_FOUND' si le code est invalide
+     *     → 'KEY_REQUIRED' / 'WRONG_KEY' sans la clé de chiffrement du lien d'invitation
+     *  2. Envoi de participant_join (avec le PIN saisi)
+     *     → 'WRONG_PIN' / 'TOO_MANY_ATTEMPTS' si le hub le refuse
+     *  3. Réception de state_sync → Promise résolue → salle prête
+     *
+     * @param {string}   code
+     * @param {string}   name
+     * @param {Function} onReady
+     * @param {Function} onRender
+     * @param {object}   [options]
+     * @param {string}   [options.pin] - PIN de la session, si elle en a un
+     * @param {string}   [options.key] - Clé de chiffrement (cf. getUrlKey)
+     * @param {boolean}  [options.observer] - Suivre la session sans voter (n'occupe pas de place)
+     * @returns {Promise<{success:boolean, error?:string}>}
+     */
+    async function joinSession(code, name, onReady, onRender, options = {}) {
+        if (!name) return {success: false, error: 'NAME_REQUIRED'};
+        if (!code) return {success: false, error: 'CODE_REQUIRED'};
+        if (!options.key) return {success: false, error: 'KEY_REQUIRED'};
+        if (!isKey(options.key)) return {success: false, error: 'WRONG_KEY'};
+
+        state.myId = _genId();
+        state.myName = name;
+        state.myRole = options.observer ? ROLE.OBSERVER : ROLE.PARTICIPANT;
+        state.pin = options.pin || null;
+        state.key = options.key;
+        state.secret = null;
+
+        initTransport(state, onRender);
 
-    // Tenter jusqu'à 5 codes différents en cas de collision
-    let sessionId;
-    for (let i = 0; i < 5; i++) {
-        sessionId = _genSessionId(4);
         try {
-            await createFacilitatorPeer(sessionId);
-            break; // succès
+            await joinHost(code);
+            // state.session a été rempli par transport.js lors du premier state_sync
         } catch (e) {
-            if (e.code === 'ID_TAKEN' && i < 4) continue;
-            console.error('[session] createFacilitatorPeer:', e);
-            return false;
+            closeTransport();
+            const known = [
+                'SESSION_NOT_FOUND', 'SESSION_FULL', 'VERSION_MISMATCH', 'WRONG_PIN', 'TOO_MANY_ATTEMPTS', 'WRONG_KEY',
+            ];
+            const error = known.includes(e.code) ? e.code : 'PEER_ERROR';
+            return {success: false, error};
         }
+
+        state.sessionId = code;
+        _saveIdentity();
+        setUrlSessionId(code);
+        onReady?.();
+        return {success: true};
     }
 
-    state.myId = _genParticipantId();
-    state.myName = name;
-    state.myRole = ROLE.FACILITATOR;
-    state.sessionId = sessionId;
-
-    state.session = {
-        id: sessionId,
-        facilitatorId: state.myId,
-        facilitatorName: name,
-        status: STATUS.WAITING,
-        currentItem: item,
-        participants: [{id: state.myId, name, vote: null, isFacilitator: true}],
-        createdAt: Date.now(),
-    };
+    /* ══════════════════════════════════════════════════
+       RESTAURATION APRÈS RECHARGEMENT
+       ══════════════════════════════════════════════════ */
+
+    /**
+     * Restaure la session après un F5.
+     *
+     * Facilitateur : rouvre le hub avec le même ID + restaure depuis le stockage local
+     *                (session migrée au schéma courant, cf. storage.js).
+     *                Si un participant a repris la session entre-temps (ID occupé),
+     *                la rejoint comme participant.
+     * Participant  : se reconnecte au hub.
+     *
+     * @param {object}   me       - { myId, myName, myRole, sessionId, pin, key, secret }
+     * @param {Function} onReady
+     * @param {Function} onRender
+     * @returns {Promise<boolean>}
+     */
+    async function restoreSession(me, onReady, onRender) {
+        initTransport(state, onRender);
+
+        state.myId = me.myId;
+        state.myName = me.myName;
+        state.myRole = me.myRole;
+        state.sessionId = me.sessionId;
+        state.pin = me.pin ?? null;
+        state.secret = me.secret ?? null;
+        // Données enregistrées avant le chiffrement : nouvelle clé pour le facilitateur
+        state.key = me.key ?? (me.myRole === ROLE.FACILITATOR ? createKey() : null);
+        if (!state.key) return false;
+
+        if (me.myRole === ROLE.FACILITATOR) {
+            const saved = await loadSession(me.sessionId);
+            if (!saved) return false;
+            state.session = saved;
+
+            // L'ancien hub peut être encore vivant côté serveur de signalisation :
+            // attendre 3s puis réessayer une fois.
+            const code = await _registerHost(me.sessionId, 2, 3000);
+            if (code === null) {
+                _armTimer();
+                setUrlSessionId(me.sessionId);
+                onReady?.();
+                return true;
+            }
+            if (code !== 'ID_TAKEN') return false;
 
-    saveSession(state.session);
-    saveMe({myId: state.myId, myName: state.myName, myRole: state.myRole, sessionId});
-    setUrlSessionId(sessionId);
-    onReady?.();
-    return true;
-}
+            // Un participant a repris la session : la rejoindre comme participant
+            await deleteSession(me.sessionId).catch(e => console.error('[session] deleteSession:', e));
+            state.session = null;
+            state.myRole = ROLE.PARTICIPANT;
+            _saveIdentity();
+        }
 
-/* ══════════════════════════════════════════════════
-   REJOINDRE UNE SESSION (CDC §5.2)
-   ══════════════════════════════════════════════════ */
+        // Participant : reconnexion au hub
+        try {
+            await joinHost(me.sessionId);
+        } catch (_) {
+            return false;
+        }
 
-/**
- * Rejoint une session en tant que participant via WebRTC.
- *
- * Flux :
- *  1. Créer un Peer aléatoire
- *  2. Connexion au Peer facilitateur (ID = 'pps-CODE')
- *     → 'peer-unavailable' si le code est invalide
- *  3. Envoi de participant_join
- *  4. Réception de state_sync → Promise résolue → salle prête
- *
- * @param {string}   code
- * @param {string}   name
- * @param {Function} onReady
- * @param {Function} onRender
- * @returns {Promise<{success:boolean, error?:string}>}
- */
-export async function joinSession(code, name, onReady, onRender) {
-    if (!name) return {success: false, error: 'NAME_REQUIRED'};
-    if (!code) return {success: false, error: 'CODE_REQUIRED'};
-
-    state.myId = _genParticipantId();
-    state.myName = name;
-    state.myRole = ROLE.PARTICIPANT;
-
-    initWebRTC(state, onRender);
-
-    try {
-        await joinAsParticipant(code);
-        // state.session a été rempli par webrtc.js lors du premier state_sync
-    } catch (e) {
-        disconnectWebRTC();
-        const error = e.code === 'SESSION_NOT_FOUND' ? 'SESSION_NOT_FOUND'
-            : e.code === 'SESSION_FULL' ? 'SESSION_FULL'
-                : 'PEER_ERROR';
-        return {success: false, error};
+        setUrlSessionId(me.sessionId);
+        onReady?.();
+        return true;
     }
 
-    state.sessionId = code;
-    saveMe({myId: state.myId, myName: state.myName, myRole: state.myRole, sessionId: code});
-    setUrlSessionId(code);
-    onReady?.();
-    return {success: true};
-}
+    /**
+     * Ouvre notre hub sous l'ID 'pps-{sessionId}', avec plusieurs tentatives si l'ID est pris.
+     * @param {string} sessionId
+     * @param {number} attempts
+     * @param {number} delay - Attente entre deux tentatives (ms)
+     * @returns {Promise<string|null>} null si succès, sinon le code d'erreur
+     */
+    async function _registerHost(sessionId, attempts, delay) {
+        for (let i = 0; i < attempts; i++) {
+            try {
+                await createHost(sessionId);
+                return null;
+            } catch (e) {
+                closeTransport();
+                if (e.code !== 'ID_TAKEN') return e.code;
+                if (i < attempts - 1) await _sleep(delay);
+            }
+        }
+        return 'ID_TAKEN';
+    }
 
-/* ══════════════════════════════════════════════════
-   RESTAURATION APRÈS RECHARGEMENT
-   ══════════════════════════════════════════════════ */
+    /* ══════════════════════════════════════════════════
+       CHANGEMENT DE FACILITATEUR
+       ══════════════════════════════════════════════════ */
+
+    /**
+     * Transmet le rôle de facilitateur à un participant connecté.
+     *
+     * Le successeur reçoit la session complète (votes en cours compris) et
+     * réenregistre l'ID 'pps-{sessionId}' ; les autres participants, avertis
+     * par session.nextHostId, se reconnectent à lui. L'ancien facilitateur
+     * rejoint ensuite la session comme participant.
+     *
+     * @param {string} pid
+     * @returns {boolean} false si le participant est introuvable, observateur ou déconnecté
+     */
+    function transferHost(pid) {
+        if (!state.session || state.myRole !== ROLE.FACILITATOR) return false;
+        const target = getVoters(state.session).find(p => p.id === pid);
+        if (!target) return false;
+
+        state.session.nextHostId = pid;
+        if (!sendToParticipant(pid, message(MSG.HOST_TRANSFER, {session: state.session, now: Date.now()}))) {
+            delete state.session.nextHostId;
+            return false;
+        }
+        broadcastState();
+
+        clearTimeout(_timerHandle);
+        const sessionId = state.sessionId;
+
+        // Laisser partir les derniers messages avant de libérer l'ID du hub
+        setTimeout(() => {
+            closeTransport();
+            deleteSession(sessionId).catch(e => console.error('[session] deleteSession:', e));
+            state.myRole = ROLE.PARTICIPANT;
+            _saveIdentity();
+            state.onRoleChange?.();
+            _recoverHost();
+        }, HOST_TRANSFER_FLUSH_MS);
+        return true;
+    }
 
-/**
- * Restaure la session après un F5.
- *
- * Facilitateur : recrée le Peer avec le même ID + restaure depuis localStorage.
- * Participant  : reconnecte au facilitateur via WebRTC.
- *
- * @param {object}   me       - { myId, myName, myRole, sessionId }
- * @param {Function} onReady
- * @param {Function} onRender
- * @returns {Promise<boolean>}
- */
-export async function restoreSession(me, onReady, onRender) {
-    initWebRTC(state, onRender);
+    /**
+     * Participant désigné par transferHost() : devient facilitateur.
+     * @param {import('./config.js').Session} session - Session complète envoyée par l'ancien hub
+     */
+    async function _acceptHostTransfer(session) {
+        if (await _takeOver(session, true)) return;
+        // ID toujours occupé : rester participant et rejoindre le hub qui l'a obtenu
+        _recoverHost();
+    }
 
-    state.myId = me.myId;
-    state.myName = me.myName;
-    state.myRole = me.myRole;
-    state.sessionId = me.sessionId;
+    /**
+     * Rang de ce participant dans l'ordre de reprise du hub :
+     * successeur désigné d'abord, puis ordre d'arrivée des participants connectés
+     * (ni l'ancien facilitateur, même s'il vote, ni les observateurs). -1 = non candidat.
+     * @param {import('./config.js').Session} session
+     * @returns {number}
+     */
+    function _successorRank(session) {
+        // Le successeur désigné a déjà quitté le hub pour le reprendre : il n'est plus dans la liste
+        const others = session.participants
+            .filter(p => !p.isFacilitator && !p.isObserver && !p.offline)
+            .map(p => p.id)
+            .filter(id => id !== session.nextHostId);
+        const candidates = session.nextHostId ? [session.nextHostId, ...others] : others;
+        return candidates.indexOf(state.myId);
+    }
 
-    if (me.myRole === ROLE.FACILITATOR) {
-        const saved = loadSession(me.sessionId);
-        if (!saved) return false;
-        state.session = saved;
+    /**
+     * Reprend le rôle de hub à partir d'une copie de la session.
+     *
+     * @param {import('./config.js').Session} snapshot
+     * @param {boolean} planned - true : transfert (session complète, l'ancien facilitateur
+     *        reste participant) ; false : disparition du hub (vue filtrée, l'ancien
+     *        facilitateur est retiré, les votes des autres sont renvoyés à leur reconnexion)
+     * @returns {Promise<boolean>}
+     */
+    async function _takeOver(snapshot, planned) {
+        closeTransport();
+
+        const session = JSON.parse(JSON.stringify(snapshot));
+        const formerHostId = session.facilitatorId;
+        if (!planned) {
+            session.participants = session.participants.filter(p => p.id !== formerHostId);
+            session.pin = state.pin; // la vue filtrée ne contient pas le PIN
+        }
+        session.participants.forEach(p => {
+            p.isFacilitator = p.id === state.myId;
+            if (p.isFacilitator && !session.facilitatorVotes) p.vote = null; // le facilitateur ne vote pas
+            delete p.hasVoted;
+        });
+        session.facilitatorId = state.myId;
+        session.facilitatorName = state.myName;
+        delete session.nextHostId;
+        // Échéance exprimée avec l'horloge de l'ancien hub → la nôtre
+        if (session.timer?.deadline) session.timer.deadline -= state.clockOffset;
+
+        // Transfert : l'ancien hub libère l'ID après HOST_TRANSFER_FLUSH_MS
+        const registered = planned
+            ? await _registerHost(state.sessionId, 10, HOST_TRANSFER_FLUSH_MS)
+            : await _registerHost(state.sessionId, 1, 0);
+        if (registered !== null) {
+            return false;
+        }
 
-        try {
-            await createFacilitatorPeer(me.sessionId);
-        } catch (e) {
-            if (e.code === 'ID_TAKEN') {
-                // L'ancien Peer est encore vivant côté serveur de signalisation.
-                // Attendre 3s puis réessayer une fois.
-                await new Promise(r => setTimeout(r, 3000));
-                try {
-                    await createFacilitatorPeer(me.sessionId);
-                } catch (_) {
-                    return false;
+        state.clockOffset = 0;
+        state.pin = session.pin ?? null;
+        state.session = session;
+        state.myRole = ROLE.FACILITATOR;
+        _saveIdentity();
+        _armTimer();
+        broadcastState();
+        state.onRoleChange?.();
+        return true;
+    }
+
+    /**
+     * Connexion au hub perdue (coupure réseau, départ du facilitateur ou transfert) :
+     * retenter joinHost() avec des attentes croissantes. Si le hub a disparu,
+     * le prochain candidat (cf. _successorRank) le reprend.
+     * Abandon après PARTICIPANT_GRACE_MS : le hub a alors libéré notre place.
+     */
+    async function _recoverHost() {
+        if (_recovering || !state.session) return;
+        _recovering = true;
+
+        const snapshot = state.session;
+        const formerHostId = snapshot.facilitatorId;
+        const rank = state.myRole === ROLE.PARTICIPANT ? _successorRank(snapshot) : -1;
+        const start = Date.now();
+        let failure = null;
+
+        for (let attempt = 0; Date.now() - start < PARTICIPANT_GRACE_MS; attempt++) {
+            const delay = RECONNECT_BACKOFF_MS[Math.min(attempt, RECONNECT_BACKOFF_MS.length - 1)];
+            state.onReconnecting?.(attempt + 1, delay);
+            await _sleep(delay);
+            if (!state.session) break; // session quittée entre-temps
+
+            try {
+                await joinHost(state.sessionId);
+                _recovering = false;
+                state.onReconnected?.();
+                if (state.session?.facilitatorId !== formerHostId) state.onRoleChange?.();
+                return;
+            } catch (e) {
+                closeTransport();
+                if (e.code === 'SESSION_FULL') break;
+                if (['VERSION_MISMATCH', 'PID_TAKEN', 'WRONG_PIN', 'TOO_MANY_ATTEMPTS', 'WRONG_KEY'].includes(e.code)) {
+                    failure = e.code;
+                    break;
+                }
+                // Hub absent du serveur de signalisation : le reprendre si c'est notre tour
+                if (e.code === 'SESSION_NOT_FOUND' && rank >= 0
+                    && Date.now() - start >= rank * HOST_TAKEOVER_STAGGER_MS
+                    && await _takeOver(snapshot, false)) {
+                    _recovering = false;
+                    state.onReconnected?.();
+                    return;
                 }
-            } else {
-                return false;
             }
         }
 
-        setUrlSessionId(me.sessionId);
-        onReady?.();
-        return true;
+        _recovering = false;
+        if (state.session) _abandonSession(failure);
+    }
 
-    } else {
-        // Participant : reconnexion WebRTC
-        try {
-            await joinAsParticipant(me.sessionId);
-        } catch (_) {
-            return false;
+    /**
+     * Quitte la session sans prévenir le hub (injoignable ou incompatible).
+     * @param {string|null} code - Erreur à signaler ; null = session considérée comme clôturée
+     */
+    function _abandonSession(code) {
+        closeTransport();
+        clearMe();
+        clearUrlSessionId();
+        state.session = null;
+        state.sessionId = null;
+        if (code) state.onError?.(code);
+        else state.onSessionClosed?.();
+    }
+
+    /* ══════════════════════════════════════════════════
+       ACTIONS FACILITATEUR — synchrones (DataChannel immédiat)
+       ══════════════════════════════════════════════════ */
+
+    /** Met à jour l'item sans relancer le vote. */
+    function updateItem(item) {
+        if (!state.session) return;
+        state.session.currentItem = item;
+        broadcastState();
+    }
+
+    /**
+     * @typedef {Object} LaunchOptions
+     * @property {number}  [duration]           - Durée du timer en secondes (0 / absent = sans timer)
+     * @property {boolean} [autoRevealAllVoted] - Révéler dès que tous les votants ont voté
+     */
+
+    /**
+     * Lance un vote : reset des votes + statut → 'voting'.
+     * Avec un timer, les votes sont révélés automatiquement à l'échéance.
+     *
+     * @param {string}        [item]
+     * @param {LaunchOptions} [options]
+     */
+    function launchVote(item, {duration = 0, autoRevealAllVoted = false} = {}) {
+        if (!state.session) return;
+        if (item !== undefined) state.session.currentItem = item;
+        state.session.status = STATUS.VOTING;
+        state.session.roundStartedAt = Date.now();
+        state.session.participants.forEach(p => {
+            p.vote = null;
+        });
+
+        const seconds = Math.min(Math.max(Math.round(Number(duration) || 0), 0), TIMER_MAX_SECONDS);
+        state.session.timer = seconds
+            ? {duration: seconds * 1000, deadline: Date.now() + seconds * 1000, remaining: null}
+            : null;
+        state.session.autoRevealAllVoted = !!autoRevealAllVoted;
+        _armTimer();
+
+        broadcastState();
+        state.onVoteLaunched?.(state.session);
+    }
+
+    /** Révèle les votes et les archive comme un tour de l'item courant (vote en cours uniquement). */
+    function revealVotes() {
+        if (!state.session || state.session.status !== STATUS.VOTING) return;
+        state.session.status = STATUS.REVEALED;
+        state.session.timer = null;
+        _armTimer();
+        const entry = _recordRound();
+        broadcastState();
+        state.onVotesRevealed?.(state.session, entry);
+    }
+
+    /* ── Timer (facilitateur) ────────────────────────────────────────────*/
+
+    /** (Re)programme la révélation automatique selon session.timer. */
+    function _armTimer() {
+        clearTimeout(_timerHandle);
+        _timerHandle = null;
+
+        const timer = state.session?.timer;
+        if (!timer?.deadline || state.session.status !== STATUS.VOTING) return;
+        _timerHandle = setTimeout(() => {
+            if (state.session?.status === STATUS.VOTING) revealVotes();
+        }, Math.max(timer.deadline - Date.now(), 0));
+    }
+
+    /** Révélation automatique dès que tous les votants ont voté (si activée). */
+    function _autoRevealIfAllVoted() {
+        const session = state.session;
+        if (!session?.autoRevealAllVoted || session.status !== STATUS.VOTING) return;
+        const voters = getVoters(session);
+        if (voters.length && voters.every(p => p.vote !== null)) revealVotes();
+    }
+
+    /**
+     * Prolonge le timer en cours (y compris en pause).
+     * @param {number} seconds
+     */
+    function extendTimer(seconds) {
+        const timer = state.session?.timer;
+        if (!timer || state.session.status !== STATUS.VOTING) return;
+        if (timer.deadline) timer.deadline += seconds * 1000;
+        else timer.remaining += seconds * 1000;
+        _armTimer();
+        broadcastState();
+    }
+
+    /** Met en pause ou relance le timer en cours. */
+    function toggleTimerPause() {
+        const timer = state.session?.timer;
+        if (!timer || state.session.status !== STATUS.VOTING) return;
+        if (timer.deadline) {
+            timer.remaining = Math.max(timer.deadline - Date.now(), 0);
+            timer.deadline = null;
+        } else {
+            timer.deadline = Date.now() + timer.remaining;
+            timer.remaining = null;
         }
+        _armTimer();
+        broadcastState();
+    }
 
-        setUrlSessionId(me.sessionId);
-        onReady?.();
+    /**
+     * Ajoute les votes révélés à l'entrée d'historique de l'item courant
+     * (créée au premier tour, ou après une estimation déjà validée).
+     * @returns {import('./config.js').HistoryEntry}
+     */
+    function _recordRound() {
+        const session = state.session;
+        let entry = getOpenEntry(session);
+        if (!entry) {
+            entry = {
+                id: _genId(),
+                itemId: session.currentItemId,
+                title: session.currentItem,
+                rounds: [],
+                estimate: null,
+                method: null,
+                estimatedAt: null,
+            };
+            session.history.push(entry);
+        }
+        entry.rounds.push({
+            startedAt: session.roundStartedAt,
+            revealedAt: Date.now(),
+            votes: getVoters(session).map(p => ({id: p.id, name: p.name, vote: p.vote})),
+        });
+        return entry;
+    }
+
+    /**
+     * Valide l'estimation finale de l'item courant (votes révélés).
+     *
+     * @param {import('./config.js').EstimateMethod} method
+     *        'consensus' et 'median' sont calculés à partir du dernier tour ;
+     *        'override' retient la carte choisie par le facilitateur.
+     * @param {string} [value] - Carte retenue (méthode 'override')
+     * @returns {boolean} false si la valeur ne peut pas être déterminée
+     */
+    function commitEstimate(method, value) {
+        if (!state.session || state.session.status !== STATUS.REVEALED) return false;
+        const entry = getOpenEntry(state.session);
+        if (!entry) return false;
+
+        const deck = getDeck(state.session);
+        const lastRound = entry.rounds[entry.rounds.length - 1];
+        const stats = computeStats(lastRound.votes.map(v => v.vote), deck);
+
+        let estimate = null;
+        if (method === 'consensus' && stats.consensus) estimate = stats.values[0];
+        if (method === 'median') estimate = stats.median;
+        if (method === 'override' && isValidCard(deck, value) && !isSpecialCard(value)) estimate = value;
+        if (estimate === null) return false;
+
+        entry.estimate = estimate;
+        entry.method = method;
+        entry.estimatedAt = Date.now();
+
+        const item = state.session.backlog.find(i => i.id === entry.itemId);
+        if (item) {
+            item.status = ITEM_STATUS.ESTIMATED;
+            item.estimate = estimate;
+        }
+
+        broadcastState();
+        state.onEstimateCommitted?.(state.session, entry);
         return true;
     }
-}
 
-/* ══════════════════════════════════════════════════
-   ACTIONS FACILITATEUR — synchrones (DataChannel immédiat)
-   ══════════════════════════════════════════════════ */
+    /** Réinitialise pour un nouveau tour. */
+    function newRound() {
+        if (!state.session) return;
+        state.session.status = STATUS.WAITING;
+        state.session.timer = null;
+        _armTimer();
+        state.session.participants.forEach(p => {
+            p.vote = null;
+        });
+        broadcastState();
+    }
 
-/** Met à jour l'item sans relancer le vote. */
-export function updateItem(item) {
-    if (!state.session) return;
-    state.session.currentItem = item;
-    saveSession(state.session);
-    broadcastState();
-}
+    /* ══════════════════════════════════════════════════
+       BACKLOG — file des items à estimer
+       ══════════════════════════════════════════════════ */
+
+    /**
+     * Ajoute un item en fin de backlog.
+     * @param {string} title
+     * @returns {boolean}
+     */
+    function addBacklogItem(title) {
+        if (!state.session || !title) return false;
+        if (state.session.backlog.length >= BACKLOG_MAX_ITEMS) return false;
+        state.session.backlog.push({id: _genId(), title, status: ITEM_STATUS.PENDING});
+        broadcastState();
+        return true;
+    }
 
-/** Lance un vote : reset des votes + statut → 'voting'. */
-export function launchVote(item) {
-    if (!state.session) return;
-    if (item !== undefined) state.session.currentItem = item;
-    state.session.status = STATUS.VOTING;
-    state.session.participants.forEach(p => {
-        p.vote = null;
-    });
-    saveSession(state.session);
-    broadcastState();
-}
+    /**
+     * Ajoute en fin de backlog des items importés (cf. import.js).
+     * @param {import('./import.js').ImportedItem[]} items
+     * @returns {boolean} false si le backlog dépasserait BACKLOG_MAX_ITEMS
+     */
+    function importBacklog(items) {
+        if (!state.session || !items.length) return false;
+        if (state.session.backlog.length + items.length > BACKLOG_MAX_ITEMS) return false;
+
+        items.forEach(item => state.session.backlog.push({
+            id: _genId(),
+            title: itemTitle(item),
+            status: ITEM_STATUS.PENDING,
+            key: item.key,
+            link: item.link,
+            description: item.description,
+        }));
+        broadcastState();
+        return true;
+    }
 
-/** Révèle les votes. */
-export function revealVotes() {
-    if (!state.session) return;
-    state.session.status = STATUS.REVEALED;
-    saveSession(state.session);
-    broadcastState();
-}
+    /**
+     * Retire un item du backlog.
+     * @param {string} itemId
+     */
+    function removeBacklogItem(itemId) {
+        if (!state.session) return;
+        state.session.backlog = state.session.backlog.filter(i => i.id !== itemId);
+        if (state.session.currentItemId === itemId) state.session.currentItemId = null;
+        broadcastState();
+    }
 
-/** Réinitialise pour un nouveau tour. */
-export function newRound() {
-    if (!state.session) return;
-    state.session.status = STATUS.WAITING;
-    state.session.participants.forEach(p => {
-        p.vote = null;
-    });
-    saveSession(state.session);
-    broadcastState();
-}
+    /**
+     * Passe à l'item suivant du backlog et lance le vote.
+     * L'item courant retourne en attente si aucune estimation n'a été validée.
+     *
+     * @param {LaunchOptions} [options] - Transmises à launchVote()
+     * @returns {boolean} false si aucun item n'est en attente
+     */
+    function nextItem(options) {
+        if (!state.session) return false;
+        const backlog = state.session.backlog;
+
+        const current = backlog.find(i => i.id === state.session.currentItemId);
+        const next = backlog.find(i => i.status === ITEM_STATUS.PENDING && i !== current);
+        if (!next) return false;
+
+        if (current && current.status === ITEM_STATUS.IN_PROGRESS) {
+            current.status = ITEM_STATUS.PENDING;
+        }
 
-/** Clôture la session : notifie tous et nettoie. */
-export function closeSession() {
-    if (!state.session) return;
-    const id = state.sessionId;
-    broadcastClose();
-    disconnectWebRTC();
-    deleteSession(id);
-    clearMe();
-    clearUrlSessionId();
-    state.session = null;
-    state.sessionId = null;
-}
+        next.status = ITEM_STATUS.IN_PROGRESS;
+        state.session.currentItemId = next.id;
+        launchVote(next.title, options);
+        return true;
+    }
 
-/* ══════════════════════════════════════════════════
-   ACTIONS PARTICIPANT — synchrones
-   ══════════════════════════════════════════════════ */
+    /**
+     * Clôture la session : notifie tous, archive les tours (cf. archive.js) et nettoie.
+     * @returns {Promise<void>} Résolue une fois les participants notifiés et la session archivée ;
+     *          rejetée si la session enregistrée n'a pu être supprimée (la session est tout de même fermée)
+     */
+    async function closeSession() {
+        if (!state.session) return;
+        const id = state.sessionId;
+        const session = state.session;
+        clearTimeout(_timerHandle);
+        broadcastClose();
+        await flushTransport();
+        closeTransport();
+        state.onSessionEnded?.(session);
+        if (session.history.length) {
+            await archiveSession(session).catch(e => console.error('[session] archiveSession:', e));
+        }
+        try {
+            await deleteSession(id);
+        } finally {
+            clearMe();
+            clearUrlSessionId();
+            state.session = null;
+            state.sessionId = null;
+        }
+    }
 
-/**
- * Vote pour une valeur Fibonacci.
- * Mise à jour locale immédiate + envoi au facilitateur.
- * @param {number} value
- * @returns {boolean}
- */
-export function castVote(value) {
-    if (!state.session) return false;
-    if (state.myRole === ROLE.FACILITATOR) return false;
-    if (state.session.status !== STATUS.VOTING) return false;
+    /* ══════════════════════════════════════════════════
+       ACTIONS PARTICIPANT — synchrones
+       ══════════════════════════════════════════════════ */
+
+    /**
+     * Vote pour une carte du jeu de la session.
+     * Mise à jour locale immédiate + envoi au facilitateur ; sur le hub
+     * (facilitateur votant, cf. session.facilitatorVotes), diffusion directe.
+     * @param {string} value
+     * @returns {boolean} false pour un observateur, ou un facilitateur qui ne vote pas
+     */
+    function castVote(value) {
+        if (!state.session) return false;
+        if (state.session.status !== STATUS.VOTING) return false;
+        if (!isValidCard(getDeck(state.session), value)) return false;
+
+        const me = getVoters(state.session).find(p => p.id === state.myId);
+        if (!me) return false;
+
+        me.vote = value;
+        if (state.myRole === ROLE.FACILITATOR) {
+            broadcastState();
+            _autoRevealIfAllVoted();
+        } else {
+            sendToHost(message(MSG.VOTE_CAST, {pid: state.myId, vote: value}));
+        }
+        return true;
+    }
 
-    const me = state.session.participants.find(p => p.id === state.myId);
-    if (!me) return false;
+    /**
+     * Quitte la session proprement.
+     * @returns {Promise<void>} Résolue une fois le facilitateur prévenu
+     */
+    async function leaveSession() {
+        if (!state.session) return;
+        sendToHost(message(MSG.PARTICIPANT_LEAVE, {pid: state.myId}));
+        await flushTransport();
+        closeTransport();
+        clearMe();
+        clearUrlSessionId();
+        state.session = null;
+        state.sessionId = null;
+    }
 
-    me.vote = value;
-    sendToFacilitator({type: 'vote_cast', pid: state.myId, vote: value});
-    return true;
+    return {
+        state,
+        buildInviteUrl,
+        createSession,
+        joinSession,
+        restoreSession,
+        transferHost,
+        updateItem,
+        launchVote,
+        revealVotes,
+        extendTimer,
+        toggleTimerPause,
+        commitEstimate,
+        newRound,
+        addBacklogItem,
+        importBacklog,
+        removeBacklogItem,
+        nextItem,
+        closeSession,
+        castVote,
+        leaveSession,
+    };
 }
 
-/** Quitte la session proprement. */
-export function leaveSession() {
-    if (!state.session) return;
-    sendToFacilitator({type: 'participant_leave', pid: state.myId});
-    disconnectWebRTC();
-    clearMe();
-    clearUrlSessionId();
-    state.session = null;
-    state.sessionId = null;
-}
+/** Client de la page (app.js, embed.js) */
+export const {
+    state,
+    buildInviteUrl,
+    createSession,
+    joinSession,
+    restoreSession,
+    transferHost,
+    updateItem,
+    launchVote,
+    revealVotes,
+    extendTimer,
+    toggleTimerPause,
+    commitEstimate,
+    newRound,
+    addBacklogItem,
+    importBacklog,
+    removeBacklogItem,
+    nextItem,
+    closeSession,
+    castVote,
+    leaveSession,
+} = createSessionClient(pageEndpoint);
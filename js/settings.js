@@ -0,0 +1,170 @@
+/**
+ * settings.js — Configuration d'exécution (transport, serveur PeerJS, ICE/TURN)
+ *
+ * Deux sources, la seconde l'emportant sur la première :
+ *  1. config.json à côté d'index.html (facultatif) :
+ *       {
+ *         "transport": "webrtc",
+ *         "relay": "wss://relais.intranet/relay",
+ *         "peer": { "host": "peerjs.intranet", "port": 9000, "path": "/pps", "secure": true, "key": "peerjs" },
+ *         "iceServers": [
+ *           { "urls": "stun:stun.intranet:3478" },
+ *           { "urls": ["turn:turn.intranet:3478"], "username": "pps", "credential": "secret" }
+ *         ],
+ *         "embedOrigins": ["https://wiki.intranet"]
+ *       }
+ *     embedOrigins : pages autorisées à intégrer l'application en iframe (cf. embed.js), en https
+ *     (http admis pour localhost) ;
+ *     config.json uniquement, une page tierce ne doit pas pouvoir s'autoriser par l'URL
+ *  2. Paramètres d'URL : ?transport= &relay= &peer_host= &peer_port= &peer_path= &peer_secure= &peer_key=
+ *     &ice=stun:…,turn:… &ice_user= &ice_credential= (identifiants appliqués aux serveurs TURN)
+ *
+ * Une valeur invalide est ignorée (valeur par défaut conservée) et signalée
+ * par un code d'erreur (cf. app.js pour les libellés).
+ */
+
+'use strict';
+
+import {DEFAULT_TRANSPORT} from './config.js';
+import {USER_TRANSPORTS} from './transport.js';
+
+const CONFIG_URL = 'config.json';
+
+/**
+ * @typedef {Object} SettingsError
+ * @property {string} code   - 'CONFIG_INVALID_JSON'|'CONFIG_BAD_TRANSPORT'|'CONFIG_BAD_RELAY'|'CONFIG_BAD_HOST'
+ *                             |'CONFIG_BAD_PORT'|'CONFIG_BAD_PATH'|'CONFIG_BAD_SECURE'|'CONFIG_BAD_KEY'|'CONFIG_BAD_ICE'
+ *                             |'CONFIG_BAD_EMBED'
+ * @property {string} source - 'config.json' ou 'URL'
+ * @property {*}      [value] - Valeur refusée
+ *
+ * @typedef {Object} Settings
+ * @property {string}          transport - Valeur de USER_TRANSPORTS
+ * @property {object}          options   - { url, peer, iceServers }, transmis au transport
+ * @property {string[]}        embedOrigins - Origines autorisées pour l'API d'intégration (vide = désactivée)
+ * @property {SettingsError[]} errors
+ */
+
+/* ══════════════════════════════════════════════════
+   CHARGEMENT
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Lit config.json (s'il existe) puis les paramètres d'URL.
+ * @returns {Promise<Settings>}
+ */
+export async function loadSettings() {
+    let json = null;
+    try {
+        const res = await fetch(CONFIG_URL, {cache: 'no-store'});
+        if (res.ok) json = await res.text();
+    } catch (_) {
+        // Pas de config.json (ou page ouverte en file://) : valeurs par défaut
+    }
+    return parseSettings(json, new URLSearchParams(window.location.search));
+}
+
+/**
+ * Fusionne et valide les deux sources.
+ * @param {string|null}     json   - Contenu de config.json, null si absent
+ * @param {URLSearchParams} params
+ * @returns {Settings}
+ */
+export function parseSettings(json, params) {
+    const errors = [];
+    const settings = {transport: DEFAULT_TRANSPORT, options: {peer: {}}, embedOrigins: [], errors};
+
+    if (json !== null) {
+        let data = null;
+        try {
+            data = JSON.parse(json);
+        } catch (_) {
+            errors.push({code: 'CONFIG_INVALID_JSON', source: CONFIG_URL});
+        }
+        if (data && typeof data === 'object') {
+            _apply(settings, {
+                transport: data.transport,
+                relay: data.relay,
+                ...(data.peer && typeof data.peer === 'object'
+                    ? Object.fromEntries(Object.entries(data.peer).map(([k, v]) => ['peer_' + k, v]))
+                    : {}),
+                iceServers: data.iceServers,
+                embedOrigins: data.embedOrigins,
+            }, CONFIG_URL);
+        }
+    }
+
+    _apply(settings, {
+        transport: params.get('transport') ?? undefined,
+        relay: params.get('relay') ?? undefined,
+        peer_host: params.get('peer_host') ?? undefined,
+        peer_port: params.get('peer_port') ?? undefined,
+        peer_path: params.get('peer_path') ?? undefined,
+        peer_secure: params.get('peer_secure') ?? undefined,
+        peer_key: params.get('peer_key') ?? undefined,
+        iceServers: params.has('ice') ? _iceFromUrl(params) : undefined,
+    }, 'URL');
+
+    return settings;
+}
+
+/* ══════════════════════════════════════════════════
+   VALIDATION
+   ══════════════════════════════════════════════════ */
+
+/** Applique les valeurs définies (undefined = absente de la source) */
+function _apply(settings, values, source) {
+    const {options, errors} = settings;
+    const check = (value, valid, code, apply) => {
+        if (value === undefined) return;
+        if (valid(value)) apply(value);
+        else errors.push({code, source, value});
+    };
+
+    check(values.transport, v => USER_TRANSPORTS.includes(v), 'CONFIG_BAD_TRANSPORT',
+        v => settings.transport = v);
+    check(values.relay, v => typeof v === 'string' && /^wss?:\/\/[^\s/]+/.test(v), 'CONFIG_BAD_RELAY',
+        v => options.url = v);
+
+    check(values.peer_host, v => typeof v === 'string' && /^[\w.-]+$/.test(v), 'CONFIG_BAD_HOST',
+        v => options.peer.host = v);
+    check(values.peer_port, v => /^\d{1,5}$/.test(String(v)) && +v >= 1 && +v <= 65535, 'CONFIG_BAD_PORT',
+        v => options.peer.port = Number(v));
+    check(values.peer_path, v => typeof v === 'string' && /^\/[\w./-]*$/.test(v), 'CONFIG_BAD_PATH',
+        v => options.peer.path = v);
+    check(values.peer_secure, v => [true, false, 'true', 'false', '1', '0'].includes(v), 'CONFIG_BAD_SECURE',
+        v => options.peer.secure = v === true || v === 'true' || v === '1');
+    check(values.peer_key, v => typeof v === 'string' && v.length > 0, 'CONFIG_BAD_KEY',
+        v => options.peer.key = v);
+
+    check(values.iceServers, v => Array.isArray(v) && v.length > 0 && v.every(_isIceServer), 'CONFIG_BAD_ICE',
+        v => options.iceServers = v);
+
+    // Origine exacte (schéma, hôte, port), sans chemin ni joker ; http seulement en local
+    check(values.embedOrigins, v => Array.isArray(v)
+        && v.every(o => typeof o === 'string'
+            && /^(https:\/\/[\w.-]+|http:\/\/(localhost|127\.0\.0\.1))(:\d{1,5})?$/.test(o)), 'CONFIG_BAD_EMBED',
+        v => settings.embedOrigins = v);
+}
+
+/**
+ * Serveur ICE au format RTCIceServer ; un serveur TURN exige des identifiants.
+ * @param {*} server
+ * @returns {boolean}
+ */
+function _isIceServer(server) {
+    if (!server || typeof server !== 'object') return false;
+    const urls = [].concat(server.urls ?? []);
+    if (!urls.length || !urls.every(u => typeof u === 'string' && /^(stuns?|turns?):\S+$/.test(u))) return false;
+    const turn = urls.some(u => u.startsWith('turn'));
+    return !turn || (typeof server.username === 'string' && typeof server.credential === 'string');
+}
+
+/** ?ice=stun:a:3478,turn:b:3478&ice_user=…&ice_credential=… → RTCIceServer[] */
+function _iceFromUrl(params) {
+    const username = params.get('ice_user') ?? undefined;
+    const credential = params.get('ice_credential') ?? undefined;
+    return params.get('ice').split(',').map(u => u.trim()).filter(Boolean).map(urls =>
+        urls.startsWith('turn') ? {urls, username, credential} : {urls}
+    );
+}
@@ -0,0 +1,134 @@
+/**
+ * stats.js — Statistiques d'un tour de vote (CDC §6)
+ *
+ * Fonctions pures : elles ne lisent que les votes et le jeu de cartes.
+ * Utilisées par render.js (panneau de résultats) et session.js
+ * (validation de l'estimation finale).
+ */
+
+'use strict';
+
+import {CONSENSUS_RULE, DEFAULT_CONSENSUS_RULE} from './config.js';
+import {cardIndex, cardNumber, isSpecialCard} from './deck.js';
+
+/**
+ * @typedef {Object} VoteStats
+ * @property {string[]}    values        - Votes retenus ('?' et '☕' exclus), triés selon le jeu
+ * @property {number}      abstentions   - Nombre de '?' / '☕'
+ * @property {string|null} average       - Moyenne à une décimale, null si une carte n'est pas numérique
+ * @property {string|null} nearestCard   - Carte du jeu la plus proche de la moyenne (la plus haute si égalité)
+ * @property {string|null} min
+ * @property {string|null} max
+ * @property {string|null} median        - Carte médiane selon l'ordre du jeu (médiane haute si pair)
+ * @property {string|null} mode          - Carte la plus votée, null si plusieurs cartes sont à égalité
+ * @property {number}      agreement     - Part des votes retenus sur la carte la plus votée (0..1)
+ * @property {number|null} spread        - Écart entre min et max, en nombre de cartes du jeu
+ * @property {{value: string, count: number}[]} distribution - Cartes votées (spéciales comprises), dans l'ordre du jeu
+ * @property {boolean}     consensus     - Tous les votes retenus sont identiques
+ * @property {boolean}     nearConsensus - Règle de quasi-consensus remplie, sans consensus strict
+ */
+
+/**
+ * Calcule les statistiques d'un ensemble de votes.
+ *
+ * @param {string[]} votes
+ * @param {import('./config.js').Deck} deck
+ * @param {import('./config.js').ConsensusRule} [rule] - Règle de quasi-consensus (session.consensusRule), DEFAULT_CONSENSUS_RULE si absente
+ * @returns {VoteStats}
+ */
+export function computeStats(votes, deck, rule = DEFAULT_CONSENSUS_RULE) {
+    const cast = votes.filter(v => v !== null);
+    const values = cast
+        .filter(v => !isSpecialCard(v))
+        .sort((a, b) => cardIndex(deck, a) - cardIndex(deck, b));
+    const abstentions = cast.length - values.length;
+
+    const numbers = values.map(cardNumber).filter(n => n !== null);
+    const mean = values.length && numbers.length === values.length
+        ? numbers.reduce((a, b) => a + b, 0) / numbers.length
+        : null;
+
+    const distribution = _distribution(cast, deck);
+    const counted = distribution.filter(d => !isSpecialCard(d.value));
+    const top = Math.max(0, ...counted.map(d => d.count));
+    const modes = counted.filter(d => d.count === top);
+
+    const min = values.length ? values[0] : null;
+    const max = values.length ? values[values.length - 1] : null;
+    const spread = values.length ? cardIndex(deck, max) - cardIndex(deck, min) : null;
+    const agreement = values.length ? top / values.length : 0;
+    const consensus = values.length > 0 && values.every(v => v === values[0]);
+
+    return {
+        values,
+        abstentions,
+        average: mean === null ? null : mean.toFixed(1),
+        nearestCard: mean === null ? null : _nearestCard(deck, mean),
+        min,
+        max,
+        median: values.length ? values[Math.floor(values.length / 2)] : null,
+        mode: modes.length === 1 ? modes[0].value : null,
+        agreement,
+        spread,
+        distribution,
+        consensus,
+        nearConsensus: !consensus && values.length > 1 && _isNearConsensus(rule, spread, agreement),
+    };
+}
+
+/**
+ * Nombre de votes par carte, dans l'ordre du jeu (cartes hors jeu à la fin).
+ * @param {string[]} votes
+ * @param {import('./config.js').Deck} deck
+ * @returns {{value: string, count: number}[]}
+ */
+function _distribution(votes, deck) {
+    const counts = new Map();
+    for (const v of votes) counts.set(v, (counts.get(v) ?? 0) + 1);
+    return [...counts]
+        .map(([value, count]) => ({value, count}))
+        .sort((a, b) => _rank(deck, a.value) - _rank(deck, b.value));
+}
+
+function _rank(deck, card) {
+    const i = cardIndex(deck, card);
+    return i < 0 ? Infinity : i;
+}
+
+/**
+ * Carte numérique du jeu la plus proche d'une valeur.
+ * @param {import('./config.js').Deck} deck
+ * @param {number} value
+ * @returns {string|null}
+ */
+function _nearestCard(deck, value) {
+    let best = null;
+    let bestGap = Infinity;
+    for (const card of deck.cards) {
+        const n = cardNumber(card);
+        if (n === null) continue;
+        const gap = Math.abs(n - value);
+        if (gap <= bestGap) {
+            best = card;
+            bestGap = gap;
+        }
+    }
+    return best;
+}
+
+/**
+ * @param {import('./config.js').ConsensusRule} rule
+ * @param {number|null} spread
+ * @param {number}      agreement
+ * @returns {boolean}
+ */
+function _isNearConsensus(rule, spread, agreement) {
+    switch (rule?.type) {
+        case CONSENSUS_RULE.ADJACENT:
+            return spread !== null && spread <= 1;
+        case CONSENSUS_RULE.AGREEMENT:
+            return agreement >= rule.threshold;
+        default:
+            return false;
+    }
+}
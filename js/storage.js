@@ -1,54 +1,299 @@
 /**
  * storage.js — Persistance locale (CDC §7)
  *
- * Abstraction sur localStorage et sessionStorage.
  * Toutes les données sont temporaires, côté client, sans serveur distant.
  *
- * localStorage  → données de session (partagées entre onglets)
- * sessionStorage → identité de l'utilisateur courant (propre à l'onglet)
+ * Session du facilitateur (restauration après F5) — API async :
+ *   IndexedDB en priorité, localStorage si IndexedDB est indisponible
+ *   (navigation privée, navigateur ancien). Chaque enregistrement porte la
+ *   version du schéma de la session ; une session enregistrée par une version
+ *   antérieure de l'application est migrée à la lecture (MIGRATIONS), une
+ *   session de version inconnue ou invalide est ignorée.
+ *
+ * localStorage   → préférences de l'équipe (réintégration Jira / Azure DevOps), synchrone
+ * sessionStorage → identité de l'utilisateur courant (propre à l'onglet), synchrone
  */
 
 'use strict';
 
-import {LS_SESSION_PREFIX, SS_ME_KEY} from './config.js';
+import {
+    DEFAULT_CONSENSUS_RULE,
+    LS_SESSION_PREFIX,
+    LS_WRITEBACK_KEY,
+    MAX_PARTICIPANTS,
+    SESSION_MAX_AGE_MS,
+    SS_ME_KEY,
+} from './config.js';
+import {getDeck} from './deck.js';
+import {openDatabase, STORES, storeRequest} from './idb.js';
+import {isSession} from './protocol.js';
 
 /* ══════════════════════════════════════════════════
-   SESSION — localStorage
+   SCHÉMA & MIGRATIONS
    ══════════════════════════════════════════════════ */
 
+/** À incrémenter à chaque changement de la structure Session, avec la migration correspondante */
+export const SCHEMA_VERSION = 1;
+
 /**
- * Sauvegarde une session dans localStorage.
- * @param {import('./config.js').Session} session
+ * MIGRATIONS[n] transforme une session du schéma n en schéma n + 1.
+ * Version 0 : session brute enregistrée dans localStorage, sans numéro de schéma.
+ */
+const MIGRATIONS = [
+    // 0 → 1 : champs ajoutés au fil des versions (backlog, historique, timer, options de session)
+    (s) => ({
+        ...s,
+        deck: getDeck(s),
+        backlog: s.backlog ?? [],
+        currentItemId: s.currentItemId ?? null,
+        history: s.history ?? [],
+        roundStartedAt: s.roundStartedAt ?? null,
+        timer: s.timer ?? null,
+        autoRevealAllVoted: s.autoRevealAllVoted ?? false,
+        facilitatorVotes: s.facilitatorVotes ?? false,
+        maxParticipants: s.maxParticipants ?? MAX_PARTICIPANTS,
+        consensusRule: s.consensusRule ?? DEFAULT_CONSENSUS_RULE,
+    }),
+];
+
+/**
+ * @typedef {Object} StoredSession
+ * @property {string} id
+ * @property {number} schema   - Version du schéma de session (SCHEMA_VERSION à l'écriture)
+ * @property {number} savedAt
+ * @property {import('./config.js').Session} session
  */
-export function saveSession(session) {
+
+/**
+ * Amène une session enregistrée au schéma courant (fonction pure).
+ * @param {*} raw - StoredSession, ou Session brute (schéma 0)
+ * @returns {import('./config.js').Session|null} null si la version est inconnue ou la session invalide
+ */
+export function migrateSession(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const legacy = !('schema' in raw);
+    const version = legacy ? 0 : raw.schema;
+    if (!Number.isInteger(version) || version < 0 || version > SCHEMA_VERSION) return null;
+
+    let session = legacy ? raw : raw.session;
     try {
-        localStorage.setItem(LS_SESSION_PREFIX + session.id, JSON.stringify(session));
-    } catch (e) {
-        console.error('[storage] saveSession:', e);
+        for (let v = version; v < SCHEMA_VERSION; v++) session = MIGRATIONS[v](session);
+    } catch (_) {
+        return null;
     }
+    return isSession(session) ? session : null;
 }
 
+/* ══════════════════════════════════════════════════
+   SUPPORTS — IndexedDB, localStorage
+   ══════════════════════════════════════════════════ */
+
 /**
- * Charge une session depuis localStorage.
- * @param {string} sessionId
- * @returns {import('./config.js').Session|null}
+ * Résultat d'un enregistrement
+ * @typedef {{success: true} | {success: false, error: 'QUOTA_EXCEEDED'|'STORAGE_UNAVAILABLE'}} SaveResult
+ */
+
+let _dbPromise = null;
+
+/**
+ * Base IndexedDB (cf. idb.js), ou null si IndexedDB est indisponible (on utilise
+ * alors localStorage). Le support choisi ne change plus jusqu'au rechargement.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function _db() {
+    _dbPromise ??= openDatabase().catch((e) => {
+        console.warn('[storage] IndexedDB indisponible, repli sur localStorage:', e);
+        return null;
+    });
+    return _dbPromise;
+}
+
+/**
+ * Exécute une requête sur le magasin des sessions en cours.
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest} run
+ * @returns {Promise<*>}
  */
-export function loadSession(sessionId) {
+function _request(mode, run) {
+    return storeRequest(STORES.SESSIONS, mode, run);
+}
+
+function _isQuotaError(e) {
+    return e?.name === 'QuotaExceededError' || e?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+}
+
+function _lsRead(sessionId) {
     try {
         const raw = localStorage.getItem(LS_SESSION_PREFIX + sessionId);
         return raw ? JSON.parse(raw) : null;
     } catch (e) {
-        console.error('[storage] loadSession:', e);
+        console.error('[storage] lecture localStorage:', e);
         return null;
     }
 }
 
+/** @returns {string[]} IDs des sessions présentes dans localStorage */
+function _lsIds() {
+    try {
+        return Object.keys(localStorage)
+            .filter(k => k.startsWith(LS_SESSION_PREFIX))
+            .map(k => k.slice(LS_SESSION_PREFIX.length));
+    } catch (_) {
+        return [];
+    }
+}
+
+/**
+ * Écrit un enregistrement sur le support actif.
+ * @param {StoredSession} record
+ * @returns {Promise<void>}
+ * @throws {Error} stockage plein ou indisponible
+ */
+async function _write(record) {
+    const db = await _db();
+    if (db) {
+        await _request('readwrite', store => store.put(record));
+    } else {
+        localStorage.setItem(LS_SESSION_PREFIX + record.id, JSON.stringify(record));
+    }
+}
+
+/* ══════════════════════════════════════════════════
+   SESSION — async
+   ══════════════════════════════════════════════════ */
+
 /**
- * Supprime une session de localStorage (CDC §5.3 — clôture par le facilitateur).
+ * Enregistre une session. Stockage plein : seules les sessions expirées sont
+ * supprimées (cf. collectSessions), jamais celles d'autres onglets facilitateurs
+ * en cours ; l'écriture est alors retentée une fois, sinon QUOTA_EXCEEDED.
+ * @param {import('./config.js').Session} session
+ * @returns {Promise<SaveResult>}
+ */
+export async function saveSession(session) {
+    const record = {id: session.id, schema: SCHEMA_VERSION, savedAt: Date.now(), session};
+    try {
+        await _write(record);
+        return {success: true};
+    } catch (e) {
+        if (!_isQuotaError(e)) {
+            console.error('[storage] saveSession:', e);
+            return {success: false, error: 'STORAGE_UNAVAILABLE'};
+        }
+    }
+
+    if (!(await collectSessions(session.id))) return {success: false, error: 'QUOTA_EXCEEDED'};
+    try {
+        await _write(record);
+        return {success: true};
+    } catch (e) {
+        console.error('[storage] saveSession:', e);
+        return {success: false, error: _isQuotaError(e) ? 'QUOTA_EXCEEDED' : 'STORAGE_UNAVAILABLE'};
+    }
+}
+
+/**
+ * Charge une session, migrée au schéma courant.
+ * Une session trouvée dans localStorage alors qu'IndexedDB est disponible
+ * (enregistrée par une version antérieure) est déplacée dans IndexedDB.
+ * @param {string} sessionId
+ * @returns {Promise<import('./config.js').Session|null>}
+ */
+export async function loadSession(sessionId) {
+    const db = await _db();
+    if (db) {
+        try {
+            const record = await _request('readonly', store => store.get(sessionId));
+            if (record) return migrateSession(record);
+        } catch (e) {
+            console.error('[storage] loadSession:', e);
+            return null;
+        }
+    }
+
+    const session = migrateSession(_lsRead(sessionId));
+    if (session && db && (await saveSession(session)).success) {
+        localStorage.removeItem(LS_SESSION_PREFIX + sessionId);
+    }
+    return session;
+}
+
+/**
+ * Supprime une session (CDC §5.3 — clôture par le facilitateur), sur les deux supports.
  * @param {string} sessionId
+ * @returns {Promise<void>}
  */
-export function deleteSession(sessionId) {
+export async function deleteSession(sessionId) {
     localStorage.removeItem(LS_SESSION_PREFIX + sessionId);
+    const db = await _db();
+    if (!db) return;
+    try {
+        await _request('readwrite', store => store.delete(sessionId));
+    } catch (e) {
+        console.error('[storage] deleteSession:', e);
+    }
+}
+
+/**
+ * Supprime les sessions orphelines : jamais clôturées (onglet fermé) et non
+ * enregistrées depuis maxAgeMs. Les sessions illisibles sont supprimées aussi.
+ * @param {string|null} [keepId] - Session à conserver (celle de l'onglet courant)
+ * @param {number}      [maxAgeMs]
+ * @returns {Promise<number>} Nombre de sessions supprimées
+ */
+export async function collectSessions(keepId = null, maxAgeMs = SESSION_MAX_AGE_MS) {
+    const limit = Date.now() - maxAgeMs;
+    // Schéma 0 : pas de savedAt, la date de création fait foi
+    const expired = (record) => !record || !((record.savedAt ?? record.createdAt) > limit);
+    let removed = 0;
+
+    for (const id of _lsIds()) {
+        if (id === keepId || !expired(_lsRead(id))) continue;
+        localStorage.removeItem(LS_SESSION_PREFIX + id);
+        removed++;
+    }
+
+    const db = await _db();
+    if (!db) return removed;
+    try {
+        const records = await _request('readonly', store => store.getAll());
+        for (const record of records) {
+            if (record.id === keepId || !expired(record)) continue;
+            await _request('readwrite', store => store.delete(record.id));
+            removed++;
+        }
+    } catch (e) {
+        console.error('[storage] collectSessions:', e);
+    }
+    return removed;
+}
+
+/* ══════════════════════════════════════════════════
+   PRÉFÉRENCES — localStorage
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Mémorise la correspondance de colonnes de la réintégration.
+ * @param {import('./export.js').WritebackMapping} mapping
+ */
+export function saveWritebackMapping(mapping) {
+    try {
+        localStorage.setItem(LS_WRITEBACK_KEY, JSON.stringify(mapping));
+    } catch (e) {
+        console.error('[storage] saveWritebackMapping:', e);
+    }
+}
+
+/**
+ * @returns {import('./export.js').WritebackMapping|null}
+ */
+export function loadWritebackMapping() {
+    try {
+        const raw = localStorage.getItem(LS_WRITEBACK_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        console.error('[storage] loadWritebackMapping:', e);
+        return null;
+    }
 }
 
 /* ══════════════════════════════════════════════════
@@ -61,6 +306,9 @@ export function deleteSession(sessionId) {
  * @property {string} myName     - Nom de l'utilisateur
  * @property {string} myRole     - Rôle ('facilitator' | 'participant')
  * @property {string} sessionId  - Code de la session rejointe
+ * @property {string|null} [pin] - PIN saisi, pour se reconnecter après un F5
+ * @property {string}      [key] - Clé de chiffrement de la session (cf. crypto.js)
+ * @property {string|null} [secret] - Secret de reconnexion remis par le hub (cf. transport.js)
  */
 
 /**
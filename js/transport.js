@@ -0,0 +1,773 @@
+/**
+ * transport.js — Protocole temps réel de la session, indépendant du transport (CDC §2)
+ *
+ * session.js ne parle qu'à ce module (créer le hub, rejoindre, diffuser,
+ * envoyer au hub, fermer). L'acheminement des messages est délégué à un
+ * transport interchangeable, choisi par useTransport() :
+ *   - 'webrtc'    : PeerJS / WebRTC, entre appareils (webrtc.js, par défaut)
+ *   - 'relay'     : relais WebSocket auto-hébergé, intranet (relay.js + server/relay.mjs)
+ *   - 'broadcast' : BroadcastChannel, onglets d'un même navigateur (channel.js)
+ *   - 'memory'    : boucle locale en mémoire, tests sans réseau (memory.js)
+ *
+ * Interface d'un transport :
+ *   listen(hostId, onConnection) → Promise<void>   rejet { code: 'ID_TAKEN'|'PEER_ERROR' }
+ *   connect(hostId)              → Promise<Link>   rejet { code: 'SESSION_NOT_FOUND'|'PEER_ERROR' }
+ *   destroy()                    → ferme toutes les connexions
+ * Un Link a la forme d'une DataConnection PeerJS : { peer, open, send(), close(), on() },
+ * événements 'open' (connexions entrantes), 'data', 'close', 'error'.
+ *
+ * Topologie en étoile :
+ *   Participant A ──Link──► Facilitateur (hub)
+ *   Participant B ──Link──► Facilitateur
+ *                 ◄──state_sync──
+ *
+ * Identifiant du hub = 'pps-{sessionId}'  ex: 'pps-A3F7'
+ * → Le code de session seul suffit pour se connecter, sans base de données.
+ *
+ * Messages échangés : cf. protocol.js (versionnés, validés à la réception).
+ * Chiffrés de bout en bout avec la clé de session (state.key, cf. crypto.js) :
+ * le transport n'achemine que des enveloppes 'sealed'. Chiffrement et
+ * déchiffrement étant asynchrones, chaque connexion a sa file d'envoi et de
+ * réception, ce qui préserve l'ordre des messages.
+ *
+ * État de la session : state_sync complet à l'arrivée d'un participant, puis
+ * state_patch (différences avec le message précédent, cf. patch.js) numérotés
+ * par connexion. Un participant qui constate un numéro manquant, ou un patch
+ * inapplicable, demande un nouveau state_sync (resync_request).
+ *
+ * Pendant un vote, chaque participant ne reçoit que son propre vote :
+ * ceux des autres restent sur le hub jusqu'à la révélation.
+ *
+ * Perte d'un participant : il reste dans la session, marqué 'offline', pendant
+ * PARTICIPANT_GRACE_MS ; son 'participant_join' suivant (même pid) le rattache.
+ * Reprendre une place exige le secret remis à l'admission ('welcome') : un autre
+ * participant, qui connaît le pid, ne peut ni la prendre ni voter à sa place.
+ *
+ * Perte du facilitateur : une fermeture de connexion sans 'session_closed'
+ * préalable déclenche state.onHostLost() (reconnexion ou migration, cf. session.js).
+ */
+
+'use strict';
+
+import {saveSession} from './storage.js';
+import {
+    BROADCAST_BATCH_MS,
+    DEFAULT_TRANSPORT,
+    MAX_OBSERVERS,
+    PARTICIPANT_GRACE_MS,
+    PIN_LOCK_MS,
+    PIN_MAX_ATTEMPTS,
+    ROLE,
+    STATUS,
+} from './config.js';
+import {createKey, importKey, sameSecret, seal, unseal} from './crypto.js';
+import {getDeck, isValidCard} from './deck.js';
+import {redactSession} from './redact.js';
+import {getSeats, getVoters} from './roster.js';
+import {applyPatch, diff} from './patch.js';
+import {isSession, message, MSG, parseMessage, TO_HOST, TO_PARTICIPANT} from './protocol.js';
+import {createPeerJsTransport} from './webrtc.js';
+import {createRelayTransport} from './relay.js';
+import {createBroadcastTransport} from './channel.js';
+import {createMemoryTransport} from './memory.js';
+
+/** Transports disponibles (cf. useTransport()) */
+export const TRANSPORTS = {
+    webrtc: createPeerJsTransport,
+    relay: createRelayTransport,
+    broadcast: createBroadcastTransport,
+    memory: createMemoryTransport,
+};
+
+/** Transports au choix de config.json et de l'URL : 'memory' ne relie que les clients d'une même page (tests) */
+export const USER_TRANSPORTS = ['webrtc', 'relay', 'broadcast'];
+
+/* ── Préfixe des identifiants de hub ──────────────────────────────────*/
+const HOST_PREFIX = 'pps-';
+
+/* ══════════════════════════════════════════════════
+   POINT DE TERMINAISON
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Point de terminaison du protocole : hub du facilitateur ou connexion d'un
+ * participant, avec son propre état (connexions, files, dernier état reçu).
+ * Plusieurs peuvent coexister dans un même contexte JavaScript (tests avec
+ * le transport 'memory', cf. session.js createSessionClient()).
+ *
+ * @returns {object} { initTransport, useTransport, createHost, joinHost, broadcastState,
+ *          sendToParticipant, sendToHost, broadcastClose, flushTransport, closeTransport }
+ */
+export function createEndpoint() {
+    /* ── État du point de terminaison ─────────────────────────────────────*/
+    let _backend = null;   // Transport actif (cf. TRANSPORTS)
+    let _hostConn = null;   // Participant : connexion vers le facilitateur
+    let _connMap = new Map(); // Facilitateur : peerJsId → { conn, appId, seq, view } (dernier état envoyé)
+    let _graceMap = new Map(); // Facilitateur : appId → timer de retrait d'un participant hors ligne
+    let _pinFailures = new Map(); // Facilitateur : peerJsId → horodatages de ses PIN erronés récents
+    let _state = null;   // Référence vers l'état de session (cf. session.js)
+    let _onRender = null;   // Callback de re-rendu
+    let _joinResolve = null; // Résolution de joinAsParticipant()
+    let _joinReject = null; // Rejet de joinAsParticipant()
+    let _closedByHost = false; // Participant : 'session_closed' reçu avant la fermeture
+    let _key = {text: null, promise: null}; // Clé de session importée (cf. _cryptoKey)
+    let _outbox = new Map(); // Connexion → dernier envoi en cours (chiffrement)
+    let _inbox = new Map(); // Connexion → dernière réception en cours (déchiffrement)
+    let _broadcastTimer = null; // Facilitateur : diffusion d'état programmée (cf. broadcastState)
+    let _saved = true; // Facilitateur : dernier enregistrement de la session réussi (cf. _save)
+    let _hubView = null; // Participant : dernier état reçu du hub, base des state_patch
+    let _seq = 0; // Participant : numéro de ce dernier état
+    let _resyncPending = false; // Participant : resync_request envoyé, en attente du state_sync
+
+    /* ══════════════════════════════════════════════════
+       INITIALISATION
+       ══════════════════════════════════════════════════ */
+
+    /**
+     * Injecte les références d'état et de rendu.
+     * @param {object}   stateRef - État du client de session (cf. session.js)
+     * @param {Function} onRender - Callback de re-rendu
+     */
+    function initTransport(stateRef, onRender) {
+        _state = stateRef;
+        _onRender = onRender;
+    }
+
+    /**
+     * Choisit le transport utilisé par les prochaines connexions.
+     * @param {string} name      - Clé de TRANSPORTS
+     * @param {object} [options] - Options du transport (ex : { url } du relais)
+     * @returns {boolean} false si le transport est inconnu
+     */
+    function useTransport(name, options = {}) {
+        const factory = TRANSPORTS[name];
+        if (!factory) return false;
+        _backend?.destroy();
+        _backend = factory(options);
+        return true;
+    }
+
+    function _transport() {
+        if (!_backend) useTransport(DEFAULT_TRANSPORT);
+        return _backend;
+    }
+
+    /* ══════════════════════════════════════════════════
+       FACILITATEUR — Ouvrir le hub sous un identifiant déterministe
+       ══════════════════════════════════════════════════ */
+
+    /**
+     * Ouvre le hub 'pps-{sessionId}' et écoute les connexions entrantes.
+     *
+     * @param {string} sessionId
+     * @returns {Promise<void>}  Résout quand le hub est prêt
+     * @throws {{ code: 'ID_TAKEN'|'PEER_ERROR' }}
+     */
+    function createHost(sessionId) {
+        return _transport().listen(HOST_PREFIX + sessionId, _onIncomingConnection);
+    }
+
+    /* ── Connexion entrante (côté facilitateur) ──────────────────────────*/
+
+    // Rien n'est envoyé avant un participant_join accepté : un inconnu (code deviné,
+    // PIN erroné) ne voit pas la session.
+    function _onIncomingConnection(conn) {
+        conn.on('data', (raw) => _receive(conn, raw, TO_HOST, (parsed) => _onParticipantMessage(conn, parsed)));
+        conn.on('close', () => _afterReceived(conn, () => _onParticipantDisconnect(conn)));
+        conn.on('error', () => _afterReceived(conn, () => _onParticipantDisconnect(conn)));
+    }
+
+    /**
+     * @param {object} conn
+     * @param {{ok: boolean, msg?: object, code?: string}} parsed - Cf. _openFrame()
+     */
+    function _onParticipantMessage(conn, parsed) {
+        if (!_state?.session) return;
+
+        if (!parsed.ok) {
+            if (parsed.code === 'VERSION_MISMATCH' || parsed.code === 'WRONG_KEY') {
+                // Client d'une autre version (à recharger) ou clé différente : réponse en clair
+                _sendTo(conn, message(MSG.ERROR, {code: parsed.code}), false).then(() => conn.close());
+            } else {
+                console.warn('[transport] message rejeté :', parsed.code);
+            }
+            return;
+        }
+        const msg = parsed.msg;
+
+        // Une connexion parle pour le seul participant qu'elle a présenté
+        const entry = _connMap.get(conn.peer);
+        if (entry?.conn === conn ? msg.pid !== entry.appId : msg.type !== MSG.PARTICIPANT_JOIN) {
+            console.warn('[transport] pid usurpé :', msg.pid);
+            return;
+        }
+
+        switch (msg.type) {
+
+            case MSG.PARTICIPANT_JOIN: {
+                if (msg.pid === _state.session.facilitatorId) break;
+
+                // Éviter les doublons (reconnexion, rechargement de page, changement de facilitateur)
+                const exists = _state.session.participants.find(p => p.id === msg.pid);
+                if (exists && !_canReattach(exists, msg.secret)) {
+                    _sendTo(conn, message(MSG.ERROR, {code: 'PID_TAKEN'})).then(() => conn.close());
+                    break;
+                }
+
+                const pinError = _checkPin(msg.pin, !!exists, conn.peer);
+                if (pinError) {
+                    _sendTo(conn, message(MSG.ERROR, {code: pinError})).then(() => conn.close());
+                    break;
+                }
+
+                // Les observateurs ont leurs propres places
+                if (!exists) {
+                    const seats = getSeats(_state.session);
+                    const full = msg.observer
+                        ? _state.session.participants.filter(p => p.isObserver).length >= MAX_OBSERVERS
+                        : seats.taken >= seats.limit;
+                    if (full) {
+                        _sendTo(conn, message(MSG.ERROR, {code: 'SESSION_FULL'})).then(() => conn.close());
+                        break;
+                    }
+                }
+
+                // Reconnexion : l'ancienne connexion peut ne pas encore être fermée
+                _connMap.forEach(({appId}, peerId) => {
+                    if (appId === msg.pid) _connMap.delete(peerId);
+                });
+                _connMap.set(conn.peer, {conn, appId: msg.pid, seq: 0, view: null});
+                clearTimeout(_graceMap.get(msg.pid));
+                _graceMap.delete(msg.pid);
+
+                let participant = exists;
+                if (participant) {
+                    delete participant.offline;
+                    participant.secret ??= msg.secret ?? createKey();
+                    // Vote conservé côté participant pendant une migration du hub
+                    if (_state.session.status === STATUS.VOTING && participant.vote === null
+                        && isValidCard(getDeck(_state.session), msg.vote)) {
+                        participant.vote = msg.vote;
+                    }
+                } else {
+                    // Secret de reconnexion : une clé aléatoire, comme celle de la session
+                    participant = {id: msg.pid, name: msg.name.trim(), vote: null, isFacilitator: false, secret: createKey()};
+                    if (msg.observer) participant.isObserver = true;
+                    _state.session.participants.push(participant);
+                    _state.onParticipantJoin?.(msg.name.trim());
+                }
+                _sendTo(conn, message(MSG.WELCOME, {secret: participant.secret}));
+                broadcastState();
+                break;
+            }
+
+            case MSG.VOTE_CAST: {
+                if (_state.session.status !== STATUS.VOTING) break;
+                if (!isValidCard(getDeck(_state.session), msg.vote)) break;
+                const voter = getVoters(_state.session).find(p => p.id === msg.pid);
+                if (voter) {
+                    voter.vote = msg.vote;
+                    broadcastState();
+                    _state.onVoteCast?.();
+                }
+                break;
+            }
+
+            case MSG.RESYNC_REQUEST: {
+                // Prochaine diffusion : état complet pour cette connexion
+                entry.view = null;
+                _broadcastTimer ??= setTimeout(_sendState, BROADCAST_BATCH_MS);
+                break;
+            }
+
+            case MSG.PARTICIPANT_LEAVE: {
+                clearTimeout(_graceMap.get(msg.pid));
+                _graceMap.delete(msg.pid);
+                _connMap.delete(conn.peer);
+                _removeParticipant(msg.pid);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Une place existante ne se reprend qu'avec le secret remis à son admission.
+     * Secret inconnu du hub (hub repris à partir d'une vue filtrée, cf. session.js) :
+     * reprise refusée tant que la connexion du titulaire est ouverte, sinon le
+     * secret présenté est retenu.
+     *
+     * @param {import('./config.js').Participant} participant
+     * @param {string|null} secret - Secret présenté dans participant_join
+     * @returns {boolean}
+     */
+    function _canReattach(participant, secret) {
+        if (participant.secret) return sameSecret(participant.secret, secret);
+        return ![..._connMap.values()].some(e => e.appId === participant.id && e.conn.open);
+    }
+
+    /**
+     * Vérifie le PIN d'un participant_join, avec limitation des essais par pair :
+     * les erreurs d'un pair ne bloquent que lui, pas les autres arrivées.
+     * Pendant son verrouillage, un participant déjà admis peut toujours se reconnecter.
+     *
+     * @param {string|null|undefined} pin
+     * @param {boolean} known  - Participant déjà présent dans la session
+     * @param {string}  peerId - Pair de la connexion (conn.peer)
+     * @returns {string|null} 'WRONG_PIN' | 'TOO_MANY_ATTEMPTS', null si accepté
+     */
+    function _checkPin(pin, known, peerId) {
+        const expected = _state.session.pin;
+        if (!expected) return null;
+
+        const now = Date.now();
+        _pinFailures.forEach((times, peer) => {
+            const recent = times.filter(t => now - t < PIN_LOCK_MS);
+            if (recent.length) _pinFailures.set(peer, recent);
+            else _pinFailures.delete(peer);
+        });
+        const failures = _pinFailures.get(peerId) ?? [];
+        if (!known && failures.length >= PIN_MAX_ATTEMPTS) return 'TOO_MANY_ATTEMPTS';
+
+        if (sameSecret(expected, pin)) return null;
+        _pinFailures.set(peerId, [...failures, now]);
+        return 'WRONG_PIN';
+    }
+
+    /**
+     * Connexion perdue sans 'participant_leave' : le participant garde sa place
+     * et son vote pendant PARTICIPANT_GRACE_MS, le temps de se reconnecter.
+     */
+    function _onParticipantDisconnect(conn) {
+        const entry = _connMap.get(conn.peer);
+        if (!entry || entry.conn !== conn) return;
+        _connMap.delete(conn.peer);
+
+        const participant = _state?.session?.participants.find(p => p.id === entry.appId);
+        if (!participant) return;
+        participant.offline = true;
+        broadcastState();
+
+        clearTimeout(_graceMap.get(entry.appId));
+        _graceMap.set(entry.appId, setTimeout(() => {
+            _graceMap.delete(entry.appId);
+            _removeParticipant(entry.appId);
+        }, PARTICIPANT_GRACE_MS));
+    }
+
+    function _removeParticipant(appId) {
+        if (!_state?.session) return;
+        const before = _state.session.participants.length;
+        _state.session.participants =
+            _state.session.participants.filter(p => p.id !== appId);
+        if (_state.session.participants.length < before) {
+            broadcastState();
+            _state.onParticipantLeave?.();
+        }
+    }
+
+    /* ══════════════════════════════════════════════════
+       PARTICIPANT — Se connecter au facilitateur
+       ══════════════════════════════════════════════════ */
+
+    /**
+     * Se connecte au hub de la session.
+     * La Promise résout après réception du premier state_sync.
+     *
+     * @param {string} sessionId
+     * @returns {Promise<void>}
+     * @throws {{ code: 'SESSION_NOT_FOUND'|'SESSION_FULL'|'PID_TAKEN'|'WRONG_PIN'|'TOO_MANY_ATTEMPTS'
+     *                  |'VERSION_MISMATCH'|'WRONG_KEY'|'PEER_ERROR' }}
+     */
+    function joinHost(sessionId) {
+        return new Promise((resolve, reject) => {
+            _joinResolve = resolve;
+            _joinReject = reject;
+
+            _transport().connect(HOST_PREFIX + sessionId).then((conn) => {
+                // Tentative abandonnée entre-temps (closeTransport)
+                if (_joinReject !== reject) {
+                    conn.close();
+                    return;
+                }
+                _hostConn = conn;
+                _closedByHost = false;
+
+                conn.on('data', (raw) => _receive(conn, raw, TO_PARTICIPANT, (parsed) => _onFacilitatorMessage(conn, parsed)));
+                conn.on('close', () => _afterReceived(conn, () => {
+                    // Fermeture volontaire de notre côté (closeTransport) : rien à faire
+                    if (conn !== _hostConn) return;
+                    if (_joinReject) {
+                        _joinReject({code: 'PEER_ERROR'});
+                        _joinReject = null;
+                        _joinResolve = null;
+                        return;
+                    }
+                    // Clôture annoncée : déjà traitée à la réception de 'session_closed'
+                    if (!_closedByHost) _state?.onHostLost?.();
+                }));
+                conn.on('error', (err) => {
+                    _joinReject?.({code: 'PEER_ERROR', original: err});
+                    _joinReject = null;
+                });
+
+                // Se présenter au facilitateur (avec son vote, s'il y en a un en cours)
+                const me = _state.session?.participants.find(p => p.id === _state.myId);
+                _sendTo(conn, message(MSG.PARTICIPANT_JOIN, {
+                    pid: _state.myId,
+                    name: _state.myName,
+                    vote: me?.vote ?? null,
+                    pin: _state.pin ?? null,
+                    observer: _state.myRole === ROLE.OBSERVER,
+                    secret: _state.secret ?? null,
+                }));
+            }, (err) => {
+                if (_joinReject !== reject) return;
+                reject(err);
+                _joinReject = null;
+                _joinResolve = null;
+            });
+        });
+    }
+
+    /**
+     * @param {object} conn
+     * @param {{ok: boolean, msg?: object, code?: string}} parsed - Cf. _openFrame()
+     */
+    function _onFacilitatorMessage(conn, parsed) {
+        // Connexion abandonnée entre-temps (closeTransport, transfert du hub)
+        if (conn !== _hostConn) return;
+
+        if (!parsed.ok) {
+            if (parsed.code === 'VERSION_MISMATCH' || parsed.code === 'WRONG_KEY') _failJoin(parsed.code);
+            else console.warn('[transport] message rejeté :', parsed.code);
+            return;
+        }
+        const msg = parsed.msg;
+
+        switch (msg.type) {
+
+            case MSG.WELCOME: {
+                _state?.onAdmitted?.(msg.secret);
+                break;
+            }
+
+            case MSG.STATE_SYNC: {
+                _hubView = msg.session;
+                _seq = msg.seq;
+                _resyncPending = false;
+                _state.session = JSON.parse(JSON.stringify(_hubView));
+                _state.clockOffset = msg.now - Date.now();
+                if (_joinResolve) {
+                    // Premier sync : la salle est prête
+                    const res = _joinResolve;
+                    _joinResolve = null;
+                    _joinReject = null;
+                    res();
+                } else {
+                    // Syncs suivants : mise à jour de l'UI
+                    _onRender?.();
+                }
+                break;
+            }
+
+            case MSG.STATE_PATCH: {
+                if (!_hubView || msg.seq !== _seq + 1) {
+                    _requestResync();
+                    break;
+                }
+                try {
+                    _hubView = applyPatch(_hubView, msg.ops);
+                } catch (_) {
+                    _hubView = null;
+                }
+                if (!isSession(_hubView)) {
+                    _hubView = null;
+                    _requestResync();
+                    break;
+                }
+                _seq = msg.seq;
+                // Copie : les changements locaux (vote en cours d'envoi) ne touchent pas la base des patchs
+                _state.session = JSON.parse(JSON.stringify(_hubView));
+                _state.clockOffset = msg.now - Date.now();
+                _onRender?.();
+                break;
+            }
+
+            case MSG.SESSION_CLOSED: {
+                _closedByHost = true;
+                _state?.onSessionClosed?.();
+                break;
+            }
+
+            case MSG.HOST_TRANSFER: {
+                // Nous devenons facilitateur : la connexion au hub n'a plus d'usage
+                _hostConn = null;
+                _state.clockOffset = msg.now - Date.now();
+                _state?.onHostTransfer?.(msg.session);
+                break;
+            }
+
+            case MSG.ERROR: {
+                if (msg.code === 'VERSION_MISMATCH' || msg.code === 'WRONG_KEY') {
+                    _failJoin(msg.code);
+                    break;
+                }
+                _joinReject?.({code: msg.code});
+                _joinReject = null;
+                _joinResolve = null;
+                break;
+            }
+        }
+    }
+
+    /** État reçu incomplet : redemander un state_sync (une seule demande à la fois) */
+    function _requestResync() {
+        if (_resyncPending || !_hostConn) return;
+        _resyncPending = true;
+        _sendTo(_hostConn, message(MSG.RESYNC_REQUEST, {pid: _state.myId}));
+    }
+
+    /**
+     * Erreur définitive côté participant : rejette la connexion en cours,
+     * ou, en pleine session, quitte le hub (cf. state.onProtocolError).
+     * @param {string} code
+     */
+    function _failJoin(code) {
+        if (_joinReject) {
+            _joinReject({code});
+            _joinReject = null;
+            _joinResolve = null;
+            return;
+        }
+        const conn = _hostConn;
+        _hostConn = null; // pas de reconnexion : la fermeture est volontaire
+        conn?.close();
+        _state?.onProtocolError?.(code);
+    }
+
+    /* ══════════════════════════════════════════════════
+       DIFFUSION & ENVOI
+       ══════════════════════════════════════════════════ */
+
+    /**
+     * Facilitateur → tous les participants + re-rendu local + enregistrement.
+     * Chaque participant reçoit sa propre vue de la session (cf. redact.js).
+     *
+     * Le re-rendu local est immédiat ; l'envoi et l'enregistrement (storage.js)
+     * sont regroupés : les appels d'une même rafale (BROADCAST_BATCH_MS) ne
+     * produisent qu'un message par participant, avec l'état le plus récent.
+     */
+    function broadcastState() {
+        if (!_state?.session) return;
+        _broadcastTimer ??= setTimeout(_sendState, BROADCAST_BATCH_MS);
+        _onRender?.();
+    }
+
+    function _sendState() {
+        _broadcastTimer = null;
+        if (!_state?.session) return;
+        _save(_state.session);
+
+        // Copie figée : chaque vue envoyée sert de base au patch suivant
+        const snapshot = JSON.parse(JSON.stringify(_state.session));
+        const now = Date.now();
+        _connMap.forEach((entry) => {
+            if (!entry.conn.open) return;
+            const view = redactSession(snapshot, entry.appId);
+            if (!entry.view) {
+                _sendTo(entry.conn, message(MSG.STATE_SYNC, {seq: ++entry.seq, session: view, now}));
+            } else {
+                const ops = diff(entry.view, view);
+                if (!ops.length) return;
+                _sendTo(entry.conn, message(MSG.STATE_PATCH, {seq: ++entry.seq, ops, now}));
+            }
+            entry.view = view;
+        });
+    }
+
+    /**
+     * Enregistre la session du hub (async) ; seul le premier échec d'une série est signalé.
+     * @param {import('./config.js').Session} session
+     */
+    function _save(session) {
+        saveSession(session).then(({success, error}) => {
+            if (!success && _saved) _state?.onStorageError?.(error);
+            _saved = success;
+        });
+    }
+
+    /**
+     * Facilitateur → un participant donné (par ID applicatif).
+     * @param {string} appId
+     * @param {object} data
+     * @returns {boolean} false si le participant n'est pas connecté
+     */
+    function sendToParticipant(appId, data) {
+        for (const {conn, appId: id} of _connMap.values()) {
+            if (id === appId && conn.open) {
+                _sendTo(conn, data);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Participant → facilitateur.
+     * @param {object} data
+     */
+    function sendToHost(data) {
+        if (_hostConn?.open) _sendTo(_hostConn, data);
+    }
+
+    /** Notifie tous les participants de la clôture puis ferme les connexions. */
+    function broadcastClose() {
+        const msg = message(MSG.SESSION_CLOSED);
+        _connMap.forEach(({conn}) => {
+            if (conn.open) _sendTo(conn, msg).then(() => conn.close());
+        });
+        _connMap.clear();
+    }
+
+    /**
+     * Attend l'envoi des messages en cours de chiffrement (à appeler avant closeTransport()).
+     * @returns {Promise<void>}
+     */
+    function flushTransport() {
+        return Promise.all(_outbox.values()).then(() => {});
+    }
+
+    /**
+     * Envoie un message chiffré, après ceux déjà en file sur cette connexion.
+     * @param {object}  conn
+     * @param {object}  data
+     * @param {boolean} [sealed=true] - false : en clair (erreur de version ou de clé uniquement)
+     * @returns {Promise<void>} Résolue une fois le message remis à la connexion
+     */
+    function _sendTo(conn, data, sealed = true) {
+        const sent = (_outbox.get(conn) ?? Promise.resolve())
+            .then(async () => {
+                const frame = sealed ? message(MSG.SEALED, await seal(await _cryptoKey(), data)) : data;
+                if (conn.open) conn.send(frame);
+            })
+            .catch((e) => console.warn('[transport] send:', e));
+        _outbox.set(conn, sent);
+        sent.then(() => {
+            if (_outbox.get(conn) === sent) _outbox.delete(conn);
+        });
+        return sent;
+    }
+
+    /**
+     * Traite les trames d'une connexion une à une, dans leur ordre d'arrivée.
+     * @param {object}   conn
+     * @param {*}        raw
+     * @param {string}   to     - TO_HOST | TO_PARTICIPANT
+     * @param {Function} handle - Reçoit le résultat de _openFrame()
+     */
+    function _receive(conn, raw, to, handle) {
+        _afterReceived(conn, () => _openFrame(raw, to).then(handle));
+    }
+
+    /**
+     * Exécute task après le traitement des trames déjà reçues sur cette connexion
+     * (ex : fermeture annoncée juste après un 'session_closed' encore en déchiffrement).
+     * @param {object}   conn
+     * @param {Function} task
+     */
+    function _afterReceived(conn, task) {
+        const done = (_inbox.get(conn) ?? Promise.resolve())
+            .then(task)
+            .catch((e) => console.warn('[transport] réception :', e));
+        _inbox.set(conn, done);
+        done.then(() => {
+            if (_inbox.get(conn) === done) _inbox.delete(conn);
+        });
+    }
+
+    /**
+     * Ouvre une trame reçue : enveloppe chiffrée, ou erreur en clair.
+     * @param {*}      raw
+     * @param {string} to
+     * @returns {Promise<{ok: true, msg: object} | {ok: false, code: string}>}
+     *          code : cf. parseMessage(), ou 'WRONG_KEY' si le déchiffrement échoue
+     */
+    async function _openFrame(raw, to) {
+        const outer = parseMessage(raw, to);
+        if (!outer.ok || outer.msg.type === MSG.ERROR) return outer;
+        if (outer.msg.type !== MSG.SEALED) return {ok: false, code: 'INVALID_MESSAGE'};
+
+        let inner;
+        try {
+            inner = await unseal(await _cryptoKey(), outer.msg);
+        } catch (_) {
+            return {ok: false, code: 'WRONG_KEY'};
+        }
+        const parsed = parseMessage(inner, to);
+        return parsed.ok && parsed.msg.type === MSG.SEALED ? {ok: false, code: 'INVALID_MESSAGE'} : parsed;
+    }
+
+    /** Clé de session (state.key) importée pour WebCrypto, réimportée si elle change */
+    function _cryptoKey() {
+        if (_key.text !== _state.key) _key = {text: _state.key, promise: importKey(_state.key)};
+        return _key.promise;
+    }
+
+    /* ══════════════════════════════════════════════════
+       DÉCONNEXION
+       ══════════════════════════════════════════════════ */
+
+    /**
+     * Ferme toutes les connexions du transport actif.
+     */
+    function closeTransport() {
+        if (_hostConn) {
+            const conn = _hostConn;
+            _hostConn = null; // avant close() : le handler 'close' ignore alors l'événement
+            conn.close();
+        }
+        _connMap.clear();
+        _graceMap.forEach(clearTimeout);
+        _graceMap.clear();
+        _pinFailures.clear();
+        _outbox.clear();
+        _inbox.clear();
+        clearTimeout(_broadcastTimer);
+        _broadcastTimer = null;
+        _hubView = null;
+        _seq = 0;
+        _resyncPending = false;
+        _backend?.destroy();
+        _joinResolve = null;
+        _joinReject = null;
+    }
+
+    return {
+        initTransport,
+        useTransport,
+        createHost,
+        joinHost,
+        broadcastState,
+        sendToParticipant,
+        sendToHost,
+        broadcastClose,
+        flushTransport,
+        closeTransport,
+    };
+}
+
+/** Point de terminaison de la page (app.js, session.js) */
+export const pageEndpoint = createEndpoint();
+
+export const {
+    initTransport,
+    useTransport,
+    createHost,
+    joinHost,
+    broadcastState,
+    sendToParticipant,
+    sendToHost,
+    broadcastClose,
+    flushTransport,
+    closeTransport,
+} = pageEndpoint;
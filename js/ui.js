@@ -3,11 +3,13 @@
  *
  * Fonctions utilitaires indépendantes du domaine métier :
  *  - Navigation entre écrans
- *  - Notifications flottantes
+ *  - Notifications flottantes et bandeaux
  *  - Gestion des modals
  *  - Gestion des erreurs de formulaire
  *  - Sécurisation HTML (XSS)
  *  - Clipboard
+ *  - Téléchargement de fichiers générés
+ *  - Son de fin de timer
  */
 
 'use strict';
@@ -46,6 +48,18 @@ export function showNotif(message, duration = 3000) {
     _notifTimer = setTimeout(() => el.classList.remove('show'), duration);
 }
 
+/**
+ * Affiche ou masque un bandeau persistant (ex : reconnexion en cours).
+ * @param {string}      elementId
+ * @param {string|null} message - Texte du bandeau, ou null pour masquer
+ */
+export function showBanner(elementId, message) {
+    const el = document.getElementById(elementId);
+    if (!el) return;
+    el.textContent = message ?? '';
+    el.classList.toggle('show', !!message);
+}
+
 /* ══════════════════════════════════════════════════
    MODALS
    ══════════════════════════════════════════════════ */
@@ -113,8 +127,10 @@ export function renderHeader(name, role, sessionId) {
 
     header.style.display = 'flex';
 
-    const badgeClass = role === 'facilitator' ? 'badge-facilitator' : 'badge-participant';
-    const badgeLabel = role === 'facilitator' ? 'Facilitateur' : 'Participant';
+    const badgeClass = role === 'facilitator' ? 'badge-facilitator'
+        : role === 'observer' ? 'badge-observer' : 'badge-participant';
+    const badgeLabel = role === 'facilitator' ? 'Facilitateur'
+        : role === 'observer' ? 'Observateur' : 'Participant';
 
     meta.innerHTML =
         `<strong>${esc(name)}</strong> &nbsp;` +
@@ -149,6 +165,54 @@ export function copyToClipboard(text) {
     });
 }
 
+/* ══════════════════════════════════════════════════
+   TÉLÉCHARGEMENT
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Propose le téléchargement d'un contenu généré côté client.
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} mime
+ */
+export function downloadFile(filename, content, mime) {
+    const url = URL.createObjectURL(new Blob([content], {type: mime}));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* ══════════════════════════════════════════════════
+   SON DE FIN DE TIMER
+   ══════════════════════════════════════════════════ */
+
+/**
+ * Joue un court double bip (Web Audio API, aucun fichier à charger).
+ * Silencieux si le navigateur bloque l'audio faute d'interaction.
+ */
+export function playEndSound() {
+    try {
+        const ctx = new (window.AudioContext || window.webkitAudioContext)();
+        [0, 0.25].forEach(start => {
+            const osc = ctx.createOscillator();
+            const gain = ctx.createGain();
+            osc.frequency.value = 880;
+            gain.gain.setValueAtTime(0.2, ctx.currentTime + start);
+            gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + start + 0.2);
+            osc.connect(gain).connect(ctx.destination);
+            osc.start(ctx.currentTime + start);
+            osc.stop(ctx.currentTime + start + 0.2);
+        });
+        setTimeout(() => ctx.close(), 1000);
+    } catch (e) {
+        console.warn('[ui] playEndSound:', e);
+    }
+}
+
 /* ══════════════════════════════════════════════════
    SÉCURITÉ — ÉCHAPPEMENT HTML
    ══════════════════════════════════════════════════ */
@@ -0,0 +1,99 @@
+/**
+ * velocity.js — Tableau de bord de l'équipe, calculé sur les sessions archivées
+ *
+ * Par session : points estimés (somme des estimations numériques), items estimés.
+ * Sur l'ensemble : part des items en consensus dès le premier tour, nombre moyen
+ * de tours par item, et pour chaque personne l'écart entre ses votes du premier
+ * tour (avant discussion) et l'estimation retenue.
+ *
+ * Les écarts sont mesurés en cartes du jeu : ils valent aussi pour les jeux non
+ * numériques (tailles de T-shirt). Une personne est reconnue par son nom, les
+ * identifiants changeant d'une session à l'autre.
+ *
+ * Fonctions pures : elles ne lisent que les archives (cf. archive.js).
+ */
+
+'use strict';
+
+import {cardIndex, cardNumber, getDeck, isSpecialCard} from './deck.js';
+import {getEstimatedEntries} from './export.js';
+import {computeStats} from './stats.js';
+
+/**
+ * @typedef {Object} SessionVelocity
+ * @property {string}      id        - ID de l'archive
+ * @property {string}      code      - Code de la session
+ * @property {number}      createdAt
+ * @property {number}      items     - Items estimés
+ * @property {number|null} points    - Somme des estimations, null si aucune n'est numérique
+ *
+ * @typedef {Object} PersonAccuracy
+ * @property {string} name
+ * @property {number} votes      - Votes comparés à l'estimation retenue
+ * @property {number} deviation  - Écart moyen, en cartes (valeur absolue)
+ * @property {number} bias       - Écart moyen signé : > 0 surestime, < 0 sous-estime
+ *
+ * @typedef {Object} Velocity
+ * @property {SessionVelocity[]} sessions              - Ordre chronologique
+ * @property {number}            items                 - Items estimés, toutes sessions confondues
+ * @property {number|null}       firstRoundConsensus   - Part des items en consensus au premier tour (0..1)
+ * @property {number|null}       averageRounds         - Nombre moyen de tours par item
+ * @property {PersonAccuracy[]}  people                - Écart croissant
+ */
+
+/**
+ * @param {import('./archive.js').ArchivedSession[]} archives
+ * @returns {Velocity}
+ */
+export function computeVelocity(archives) {
+    const sessions = [];
+    const people = new Map();
+    let items = 0;
+    let consensus = 0;
+    let rounds = 0;
+
+    for (const archive of archives) {
+        const session = archive.session;
+        const deck = getDeck(session);
+        const entries = getEstimatedEntries(session);
+        const numbers = entries.map(e => cardNumber(e.estimate)).filter(n => n !== null);
+
+        sessions.push({
+            id: archive.id,
+            code: session.id,
+            createdAt: session.createdAt,
+            items: entries.length,
+            points: numbers.length ? numbers.reduce((a, b) => a + b, 0) : null,
+        });
+
+        for (const entry of entries) {
+            const first = entry.rounds[0];
+            if (!first) continue;
+            items++;
+            rounds += entry.rounds.length;
+            if (computeStats(first.votes.map(v => v.vote), deck).consensus) consensus++;
+
+            const target = cardIndex(deck, entry.estimate);
+            if (target < 0) continue;
+            for (const {name, vote} of first.votes) {
+                if (vote === null || isSpecialCard(vote) || cardIndex(deck, vote) < 0) continue;
+                const gap = cardIndex(deck, vote) - target;
+                const person = people.get(name) ?? {name, votes: 0, total: 0, signed: 0};
+                person.votes++;
+                person.total += Math.abs(gap);
+                person.signed += gap;
+                people.set(name, person);
+            }
+        }
+    }
+
+    return {
+        sessions: sessions.sort((a, b) => a.createdAt - b.createdAt),
+        items,
+        firstRoundConsensus: items ? consensus / items : null,
+        averageRounds: items ? rounds / items : null,
+        people: [...people.values()]
+            .map(p => ({name: p.name, votes: p.votes, deviation: p.total / p.votes, bias: p.signed / p.votes}))
+            .sort((a, b) => a.deviation - b.deviation || a.name.localeCompare(b.name)),
+    };
+}
@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+/**
+ * relay.mjs — Relais WebSocket auto-hébergé (alternative à PeerJS)
+ *
+ * Achemine les messages entre le hub du facilitateur et les participants quand
+ * le cloud PeerJS est bloqué ou que les DataChannels ne s'ouvrent pas (NAT
+ * symétrique). Le relais ne lit pas les messages applicatifs (participant_join,
+ * vote_cast, state_sync…), chiffrés de bout en bout : il les transmet d'une
+ * extrémité à l'autre d'un lien, comme un DataChannel. Côté navigateur : transport 'relay' (js/relay.js).
+ *
+ * Sert aussi les fichiers de l'application : tout fonctionne dans l'intranet.
+ * Aucune dépendance : Node ≥ 18 (http, crypto, fs).
+ *
+ * Usage : node server/relay.mjs [--port 8080] [--host 0.0.0.0] [--no-static]
+ *         puis ouvrir http://serveur:8080/?transport=relay
+ *
+ * Trames JSON, client → relais :
+ *   { kind: 'listen',  hostId }          ouvrir un hub       → 'listening' | 'error'
+ *   { kind: 'connect', hostId }          rejoindre un hub    → 'connected' | 'error'
+ *   { kind: 'data',    link, payload }   message sur un lien
+ *   { kind: 'close',   link }            fermer un lien
+ *
+ * Trames JSON, relais → client :
+ *   { kind: 'listening' }
+ *   { kind: 'connected', link }          côté participant
+ *   { kind: 'incoming',  link }          côté hub : nouveau participant
+ *   { kind: 'data',      link, payload }
+ *   { kind: 'closed',    link }          l'autre extrémité est partie
+ *   { kind: 'error',     code }          'ID_TAKEN' | 'SESSION_NOT_FOUND' | 'BAD_REQUEST'
+ */
+
+import {createServer} from 'node:http';
+import {createHash} from 'node:crypto';
+import {readFile} from 'node:fs/promises';
+import {dirname, extname, resolve, sep} from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+import {RELAY_PATH} from '../js/config.js';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1 << 20;
+const PING_INTERVAL_MS = 30000;
+
+/** Racine de l'application servie (dossier parent de server/) */
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+/** Seuls ces types de fichiers sont servis */
+const MIME = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+};
+
+const OP = {CONTINUATION: 0x0, TEXT: 0x1, CLOSE: 0x8, PING: 0x9, PONG: 0xa};
+
+/* ── État du relais ──────────────────────────────────────────────────*/
+const _hosts = new Map(); // hostId → client
+const _links = new Map(); // linkId → { host, guest }
+const _clients = new Set(); // sockets ouvertes
+let _seq = 0;
+
+/* ══════════════════════════════════════════════════
+   ACHEMINEMENT
+   ══════════════════════════════════════════════════ */
+
+function _onMessage(client, msg) {
+    switch (msg?.kind) {
+
+        case 'listen': {
+            if (typeof msg.hostId !== 'string' || client.hostId) {
+                client.send({kind: 'error', code: 'BAD_REQUEST'});
+                break;
+            }
+            if (_hosts.has(msg.hostId)) {
+                client.send({kind: 'error', code: 'ID_TAKEN'});
+                break;
+            }
+            _hosts.set(msg.hostId, client);
+            client.hostId = msg.hostId;
+            client.send({kind: 'listening'});
+            break;
+        }
+
+        case 'connect': {
+            const host = _hosts.get(msg.hostId);
+            if (!host) {
+                client.send({kind: 'error', code: 'SESSION_NOT_FOUND'});
+                break;
+            }
+            const link = String(++_seq);
+            _links.set(link, {host, guest: client});
+            host.links.add(link);
+            client.links.add(link);
+            host.send({kind: 'incoming', link});
+            client.send({kind: 'connected', link});
+            break;
+        }
+
+        case 'data':
+            _otherEnd(client, msg.link)?.send({kind: 'data', link: msg.link, payload: msg.payload});
+            break;
+
+        case 'close':
+            _closeLink(client, msg.link);
+            break;
+
+        default:
+            client.send({kind: 'error', code: 'BAD_REQUEST'});
+    }
+}
+
+function _otherEnd(client, linkId) {
+    const link = _links.get(linkId);
+    if (link?.host === client) return link.guest;
+    if (link?.guest === client) return link.host;
+    return null;
+}
+
+function _closeLink(client, linkId) {
+    const other = _otherEnd(client, linkId);
+    if (!other) return;
+    const {host, guest} = _links.get(linkId);
+    _links.delete(linkId);
+    host.links.delete(linkId);
+    guest.links.delete(linkId);
+    other.send({kind: 'closed', link: linkId});
+}
+
+/** Socket fermée : ses liens sont fermés, son hub libéré. */
+function _drop(client) {
+    [...client.links].forEach(linkId => _closeLink(client, linkId));
+    if (client.hostId && _hosts.get(client.hostId) === client) _hosts.delete(client.hostId);
+}
+
+/* ══════════════════════════════════════════════════
+   WEBSOCKET (RFC 6455, sous-ensemble utile)
+   ══════════════════════════════════════════════════ */
+
+function _encodeFrame(opcode, payload) {
+    const len = payload.length;
+    let head;
+    if (len < 126) {
+        head = Buffer.from([0x80 | opcode, len]);
+    } else if (len < 65536) {
+        head = Buffer.alloc(4);
+        head[0] = 0x80 | opcode;
+        head[1] = 126;
+        head.writeUInt16BE(len, 2);
+    } else {
+        head = Buffer.alloc(10);
+        head[0] = 0x80 | opcode;
+        head[1] = 127;
+        head.writeBigUInt64BE(BigInt(len), 2);
+    }
+    return Buffer.concat([head, payload]);
+}
+
+/**
+ * Extrait les trames complètes du tampon de réception.
+ * @returns {{fin: boolean, opcode: number, payload: Buffer}[]}
+ * @throws {Error} trame non masquée ou trop grande
+ */
+function _decodeFrames(client) {
+    const frames = [];
+    let buf = client.buffer;
+
+    while (buf.length >= 2) {
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0f;
+        if (!(buf[1] & 0x80)) throw new Error('unmasked frame');
+
+        let len = buf[1] & 0x7f;
+        let offset = 2;
+        if (len === 126) {
+            if (buf.length < 4) break;
+            len = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (len === 127) {
+            if (buf.length < 10) break;
+            len = Number(buf.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (len > MAX_MESSAGE_BYTES) throw new Error('frame too large');
+        if (buf.length < offset + 4 + len) break;
+
+        const mask = buf.subarray(offset, offset + 4);
+        const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + len));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+
+        frames.push({fin, opcode, payload});
+        buf = buf.subarray(offset + 4 + len);
+    }
+
+    client.buffer = buf;
+    return frames;
+}
+
+function _onFrame(client, {fin, opcode, payload}) {
+    switch (opcode) {
+        case OP.TEXT:
+        case OP.CONTINUATION: {
+            client.fragments.push(payload);
+            client.fragmentBytes += payload.length;
+            if (client.fragmentBytes > MAX_MESSAGE_BYTES) throw new Error('message too large');
+            if (!fin) break;
+
+            const text = Buffer.concat(client.fragments).toString('utf8');
+            client.fragments = [];
+            client.fragmentBytes = 0;
+            let msg;
+            try {
+                msg = JSON.parse(text);
+            } catch (_) {
+                client.send({kind: 'error', code: 'BAD_REQUEST'});
+                break;
+            }
+            _onMessage(client, msg);
+            break;
+        }
+        case OP.PING:
+            client.socket.write(_encodeFrame(OP.PONG, payload));
+            break;
+        case OP.PONG:
+            client.alive = true;
+            break;
+        case OP.CLOSE:
+            client.socket.end(_encodeFrame(OP.CLOSE, payload.subarray(0, 2)));
+            break;
+        // Trames binaires : non utilisées par l'application
+    }
+}
+
+function _attach(socket) {
+    const client = {
+        socket,
+        buffer: Buffer.alloc(0),
+        fragments: [],
+        fragmentBytes: 0,
+        hostId: null,
+        links: new Set(),
+        alive: true,
+        send(msg) {
+            if (!socket.destroyed) socket.write(_encodeFrame(OP.TEXT, Buffer.from(JSON.stringify(msg))));
+        },
+    };
+    _clients.add(client);
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+        try {
+            _decodeFrames(client).forEach(frame => _onFrame(client, frame));
+        } catch (e) {
+            console.warn('[relay]', e.message);
+            socket.destroy();
+        }
+    });
+    socket.on('close', () => {
+        _clients.delete(client);
+        _drop(client);
+    });
+    socket.on('error', () => socket.destroy());
+}
+
+/** Sonde régulièrement les sockets (ping) pour détecter les clients disparus */
+function _heartbeat() {
+    _clients.forEach((client) => {
+        if (!client.alive) {
+            client.socket.destroy();
+            return;
+        }
+        client.alive = false;
+        client.socket.write(_encodeFrame(OP.PING, Buffer.alloc(0)));
+    });
+}
+
+/* ══════════════════════════════════════════════════
+   FICHIERS STATIQUES
+   ══════════════════════════════════════════════════ */
+
+async function _serveStatic(req, res) {
+    let path;
+    try {
+        path = decodeURIComponent(new URL(req.url, 'http://relay').pathname);
+    } catch (_) {
+        path = '';
+    }
+    if (path.endsWith('/')) path += 'index.html';
+
+    const file = resolve(ROOT, '.' + path);
+    const type = MIME[extname(file)];
+    // Pas de sortie de la racine, ni de fichiers cachés, ni du code du relais
+    if (!type || !file.startsWith(ROOT + sep) || /[\\/]\./.test(path) || path.startsWith('/server/')) {
+        res.writeHead(404).end();
+        return;
+    }
+
+    try {
+        const data = await readFile(file);
+        res.writeHead(200, {'Content-Type': type}).end(data);
+    } catch (_) {
+        res.writeHead(404).end();
+    }
+}
+
+/* ══════════════════════════════════════════════════
+   DÉMARRAGE
+   ══════════════════════════════════════════════════ */
+
+function _parseArgs(argv) {
+    const opts = {port: Number(process.env.PORT) || 8080, host: '0.0.0.0', static: true};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') opts.port = Number(argv[++i]);
+        else if (argv[i] === '--host') opts.host = argv[++i];
+        else if (argv[i] === '--no-static') opts.static = false;
+    }
+    return opts;
+}
+
+const opts = _parseArgs(process.argv.slice(2));
+
+const server = createServer((req, res) => {
+    if (opts.static && req.method === 'GET') _serveStatic(req, res);
+    else res.writeHead(404).end();
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    const path = new URL(req.url, 'http://relay').pathname;
+    if (path !== RELAY_PATH || !key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+    _attach(socket);
+});
+
+setInterval(_heartbeat, PING_INTERVAL_MS).unref();
+
+server.listen(opts.port, opts.host, () => {
+    console.log(`[relay] ws://${opts.host}:${opts.port}${RELAY_PATH}`
+        + (opts.static ? ` — application : http://${opts.host}:${opts.port}/?transport=relay` : ''));
+});
@@ -0,0 +1,29 @@
+/**
+ * crypto.test.js — Comparaison des secrets (cf. js/crypto.js)
+ */
+
+'use strict';
+
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {sameSecret} from '../js/crypto.js';
+
+describe('sameSecret', () => {
+    it('accepte la valeur attendue', () => {
+        assert.equal(sameSecret('4321', '4321'), true);
+    });
+
+    it('refuse une valeur différente, plus courte ou plus longue', () => {
+        assert.equal(sameSecret('4321', '4320'), false);
+        assert.equal(sameSecret('4321', '432'), false);
+        assert.equal(sameSecret('4321', '43210'), false);
+        assert.equal(sameSecret('4321', ''), false);
+    });
+
+    it('refuse une valeur absente ou qui n\'est pas une chaîne', () => {
+        assert.equal(sameSecret('4321', null), false);
+        assert.equal(sameSecret('4321', undefined), false);
+        assert.equal(sameSecret('4321', 4321), false);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * redact.test.js — Vue filtrée de la session (cf. js/redact.js)
+ */
+
+'use strict';
+
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {STATUS} from '../js/config.js';
+import {hasVoted, redactSession} from '../js/redact.js';
+
+function makeSession(status) {
+    return {
+        id: 'AB12',
+        status,
+        pin: '4321',
+        participants: [
+            {id: 'f1', name: 'Alice', vote: null, isFacilitator: true},
+            {id: 'p1', name: 'Bob', vote: '5', isFacilitator: false, secret: 'secret-de-bob-0000000'},
+            {id: 'p2', name: 'Cat', vote: '8', isFacilitator: false, secret: 'secret-de-cat-0000000'},
+            {id: 'p3', name: 'Dan', vote: null, isFacilitator: false},
+        ],
+    };
+}
+
+const byId = (view, id) => view.participants.find(p => p.id === id);
+
+describe('redactSession', () => {
+    it('retire le PIN, quel que soit le statut', () => {
+        for (const status of Object.values(STATUS)) {
+            assert.equal('pin' in redactSession(makeSession(status), 'p1'), false);
+        }
+    });
+
+    it('retire les secrets de reconnexion, y compris celui du destinataire', () => {
+        for (const status of Object.values(STATUS)) {
+            const view = redactSession(makeSession(status), 'p1');
+            assert.equal(view.participants.some(p => 'secret' in p), false);
+        }
+    });
+
+    it('masque les votes des autres avant la révélation, en gardant « a voté »', () => {
+        const view = redactSession(makeSession(STATUS.VOTING), 'p1');
+        assert.deepEqual(byId(view, 'p2'), {id: 'p2', name: 'Cat', vote: null, isFacilitator: false, hasVoted: true});
+        assert.equal(byId(view, 'p3').hasVoted, false);
+        assert.equal(hasVoted(byId(view, 'p2')), true);
+        assert.equal(hasVoted(byId(view, 'p3')), false);
+    });
+
+    it('laisse au destinataire son propre vote', () => {
+        const view = redactSession(makeSession(STATUS.VOTING), 'p1');
+        assert.equal(byId(view, 'p1').vote, '5');
+    });
+
+    it('masque tous les votes pour un destinataire inconnu', () => {
+        const view = redactSession(makeSession(STATUS.VOTING), null);
+        assert.deepEqual(view.participants.map(p => p.vote), [null, null, null, null]);
+    });
+
+    it('montre tous les votes une fois révélés', () => {
+        const view = redactSession(makeSession(STATUS.REVEALED), 'p1');
+        assert.deepEqual(view.participants.map(p => p.vote), [null, '5', '8', null]);
+    });
+
+    it('ne modifie pas la session d\'origine', () => {
+        const session = makeSession(STATUS.VOTING);
+        const before = structuredClone(session);
+        redactSession(session, 'p1');
+        assert.deepEqual(session, before);
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * session.test.js — Cycle de vie d'une session, facilitateur et participants
+ * dans le même contexte, reliés par le transport 'memory' (cf. js/memory.js)
+ */
+
+'use strict';
+
+import assert from 'node:assert/strict';
+import {after, before, describe, it} from 'node:test';
+
+/* ── Environnement navigateur minimal (URL, stockage) ─────────────────── */
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (k) => items.has(k) ? items.get(k) : null,
+        setItem: (k, v) => items.set(k, String(v)),
+        removeItem: (k) => items.delete(k),
+    };
+}
+
+globalThis.window = {location: {href: 'http://localhost/index.html', search: '', hash: ''}};
+globalThis.history = {replaceState() {}};
+globalThis.localStorage = memoryStorage();
+globalThis.sessionStorage = memoryStorage();
+
+// Après l'environnement : import() dynamique
+const {STATUS} = await import('../js/config.js');
+const {createSessionClient} = await import('../js/session.js');
+const {createEndpoint} = await import('../js/transport.js');
+
+/** Client de session relié au transport en mémoire */
+function memoryClient() {
+    const endpoint = createEndpoint();
+    endpoint.useTransport('memory');
+    return {endpoint, ...createSessionClient(endpoint)};
+}
+
+/** Attend qu'une condition soit remplie (messages livrés de façon asynchrone) */
+async function until(condition, timeoutMs = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeoutMs) throw new Error('délai dépassé');
+        await new Promise(r => setTimeout(r, 5));
+    }
+}
+
+const voteOf = (client, name) => client.state.session.participants.find(p => p.name === name)?.vote;
+
+describe('session — création, arrivée, vote, révélation', () => {
+    const alice = memoryClient();
+    const bob = memoryClient();
+    const cat = memoryClient();
+    const noop = () => {};
+
+    before(async () => {
+        assert.equal(await alice.createSession('Alice', 'US-1 — Connexion', noop, noop), true);
+    });
+
+    after(async () => {
+        await bob.leaveSession();
+        await cat.leaveSession();
+        alice.endpoint.closeTransport();
+    });
+
+    it('crée la session : Alice est facilitatrice, chaque client garde son propre état', () => {
+        assert.equal(alice.state.myRole, 'facilitator');
+        assert.match(alice.state.sessionId, /^[A-Z0-9]{4}$/);
+        assert.equal(bob.state.session, null);
+    });
+
+    it('fait entrer les participants avec la clé du lien d\'invitation', async () => {
+        const options = {key: alice.state.key};
+        assert.deepEqual(await bob.joinSession(alice.state.sessionId, 'Bob', noop, noop, options), {success: true});
+        assert.deepEqual(await cat.joinSession(alice.state.sessionId, 'Cat', noop, noop, options), {success: true});
+
+        await until(() => alice.state.session.participants.length === 3);
+        assert.equal(alice.state.myRole, 'facilitator');
+        assert.equal(bob.state.myRole, 'participant');
+        assert.equal(bob.state.session.currentItem, 'US-1 — Connexion');
+        assert.notEqual(bob.state.myId, cat.state.myId);
+    });
+
+    it('reçoit les votes sur le hub, sans les montrer aux autres participants', async () => {
+        alice.launchVote();
+        await until(() => bob.state.session.status === STATUS.VOTING && cat.state.session.status === STATUS.VOTING);
+
+        assert.equal(bob.castVote('5'), true);
+        assert.equal(cat.castVote('8'), true);
+        await until(() => voteOf(alice, 'Bob') === '5' && voteOf(alice, 'Cat') === '8');
+        await until(() => bob.state.session.participants.find(p => p.name === 'Cat').hasVoted);
+
+        assert.equal(voteOf(bob, 'Bob'), '5');
+        assert.equal(voteOf(bob, 'Cat'), null);
+        assert.equal(alice.castVote('3'), false); // le facilitateur ne vote pas
+    });
+
+    it('montre tous les votes à la révélation et enregistre le tour', async () => {
+        alice.revealVotes();
+        await until(() => bob.state.session.status === STATUS.REVEALED);
+
+        assert.equal(voteOf(bob, 'Cat'), '8');
+        assert.equal(voteOf(cat, 'Bob'), '5');
+        const [entry] = alice.state.session.history;
+        assert.equal(entry.title, 'US-1 — Connexion');
+        assert.deepEqual(entry.rounds[0].votes.map(v => [v.name, v.vote]), [['Bob', '5'], ['Cat', '8']]);
+    });
+
+    it('ignore une seconde révélation hors vote (double clic, commande d\'intégration)', () => {
+        alice.revealVotes();
+        assert.equal(alice.state.session.history.length, 1);
+        assert.equal(alice.state.session.history[0].rounds.length, 1);
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * stats.test.js — Statistiques d'un tour de vote (cf. js/stats.js)
+ */
+
+'use strict';
+
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {CONSENSUS_RULE} from '../js/config.js';
+import {buildDeck} from '../js/deck.js';
+import {computeStats} from '../js/stats.js';
+
+const fibonacci = buildDeck('fibonacci', {special: true});
+const tshirt = buildDeck('tshirt');
+
+describe('computeStats — médiane', () => {
+    it('prend la carte du milieu selon l\'ordre du jeu, pas l\'ordre des votes', () => {
+        assert.equal(computeStats(['13', '1', '5'], fibonacci).median, '5');
+    });
+
+    it('prend la médiane haute pour un nombre pair de votes', () => {
+        assert.equal(computeStats(['1', '2', '3', '5'], fibonacci).median, '3');
+        assert.equal(computeStats(['8', '2'], fibonacci).median, '8');
+    });
+
+    it('ignore les votes absents et les cartes spéciales', () => {
+        const stats = computeStats(['1', null, '?', '3', '☕', '8'], fibonacci);
+        assert.equal(stats.median, '3');
+        assert.equal(stats.abstentions, 2);
+    });
+
+    it('vaut null sans vote retenu', () => {
+        assert.equal(computeStats(['?', null], fibonacci).median, null);
+    });
+});
+
+describe('computeStats — mode', () => {
+    it('donne la carte la plus votée', () => {
+        const stats = computeStats(['3', '5', '3'], fibonacci);
+        assert.equal(stats.mode, '3');
+        assert.equal(stats.agreement, 2 / 3);
+    });
+
+    it('vaut null quand plusieurs cartes sont à égalité', () => {
+        assert.equal(computeStats(['3', '5', '3', '5'], fibonacci).mode, null);
+    });
+
+    it('ne compte pas les cartes spéciales', () => {
+        assert.equal(computeStats(['?', '?', '5'], fibonacci).mode, '5');
+    });
+});
+
+describe('computeStats — carte la plus proche de la moyenne', () => {
+    it('arrondit à la carte du jeu la plus proche', () => {
+        const stats = computeStats(['3', '5', '8'], fibonacci); // 5,33
+        assert.equal(stats.average, '5.3');
+        assert.equal(stats.nearestCard, '5');
+    });
+
+    it('prend la carte la plus haute à égale distance', () => {
+        assert.equal(computeStats(['1', '2'], fibonacci).nearestCard, '2'); // 1,5
+    });
+
+    it('vaut null pour un jeu non numérique', () => {
+        const stats = computeStats(['S', 'M'], tshirt);
+        assert.equal(stats.average, null);
+        assert.equal(stats.nearestCard, null);
+    });
+});
+
+describe('computeStats — consensus et quasi-consensus', () => {
+    const agreement = {type: CONSENSUS_RULE.AGREEMENT, threshold: 0.7};
+
+    it('consensus : tous les votes retenus identiques, sans quasi-consensus', () => {
+        const stats = computeStats(['5', '5', '?'], fibonacci);
+        assert.equal(stats.consensus, true);
+        assert.equal(stats.nearConsensus, false);
+    });
+
+    it('règle adjacent : cartes voisines dans le jeu', () => {
+        assert.equal(computeStats(['3', '5', '5'], fibonacci).nearConsensus, true);
+        assert.equal(computeStats(['3', '8'], fibonacci).nearConsensus, false);
+    });
+
+    it('règle agreement : part des votes sur la même carte au moins égale au seuil', () => {
+        assert.equal(computeStats(['5', '5', '5', '13'], fibonacci, agreement).nearConsensus, true); // 75 %
+        assert.equal(computeStats(['5', '5', '13'], fibonacci, agreement).nearConsensus, false); // 67 %
+    });
+
+    it('jamais pour un vote unique', () => {
+        assert.equal(computeStats(['5'], fibonacci).nearConsensus, false);
+    });
+
+    it('règle strict : jamais de quasi-consensus', () => {
+        assert.equal(computeStats(['3', '5'], fibonacci, {type: CONSENSUS_RULE.STRICT}).nearConsensus, false);
+    });
+});